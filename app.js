@@ -1,29 +1,45 @@
-import { buildProgramFromSources, loadShadersFromURLS, setupWebGL, loadJSONFile } from "./libs/utils.js";
-import { ortho, perspective, lookAt, flatten, mult, mat4, rotateX, translate, rotateY, rotateZ, scalem, normalize, vec4, vec3 } from "./libs/MV.js";
-import { modelView, loadMatrix, multMatrix, multRotationX, multRotationY, multRotationZ, multScale, multTranslation, popMatrix, pushMatrix } from "./libs/stack.js";
+import { createProgram, loadShadersFromURLS, setupWebGL, showErrorOverlay } from "./libs/utils.js";
+import { loadScene, indexScene, serializeScene, getWorldMatrix } from "./libs/scene.js";
+import { ortho, perspective, lookAt, mult, mat4, inverse, normalMatrix, vec4, vec3, add, scale } from "./libs/MV.js";
+import { createOrbitController } from "./libs/orbit.js";
+import { createGame, createSeededRandom, tomatoPosition, predictTrajectory, TOMATO_RADIUS, HOLE_DEPTH } from "./libs/game.js";
+import { createFixedStepLoop } from "./libs/timestep.js";
+import { sceneColliders } from "./libs/collision.js";
+import { createEffects, fade } from "./libs/effects.js";
+import { getCannonPose, createDrive, updateDrive, interpolateDrive, transformLimits } from "./libs/tank.js";
+import { FOURTH_VIEW, GUNNER_VIEW, ACTIONS, DEFAULT_BINDINGS, createViewState, projectionParams, adjustProjection, runAction, handleKey, handleKeyUp, applyHeldActions } from "./libs/controls.js";
+import { readGamepad, firstGamepad } from "./libs/gamepad.js";
+import { TOUCH_MAPPING, createTouchControls, createTouchGestures } from "./libs/touch.js";
+import { idToColor, viewportAt, createPickBuffer } from "./libs/picking.js";
+import { createInspector } from "./libs/inspector.js";
+import { gizmoFrame, gizmoHandles, unprojectRay, startDrag, dragTo } from "./libs/gizmo.js";
+import { createInput, loadBindings, saveBindings } from "./libs/input.js";
+import { createHelpPanel } from "./libs/helppanel.js";
+import { modelView, loadMatrix, multMatrix, multScale, multTranslation, popMatrix, pushMatrix } from "./libs/stack.js";
 
 import * as CUBE from './libs/objects/cube.js';
 import * as CYLINDER from './libs/objects/cylinder.js';
 import * as SPHERE from './libs/objects/sphere.js';
+import * as GROUND from './libs/objects/ground.js';
 
-// cannon limits
-const CANNON_ROTATION_UPPER_LIMIT = 80;
-const CANNON_ROTATION_LOWER_LIMIT = -17;
-
-// tomato parameters
-const TOMATO_SPEED = 5.0;      
-const TOMATO_GRAVITY = -5.0;     
+// tomato and hole looks (the game itself is in libs/game.js)
 const TOMATO_COLOR = [1, 0.1, 0.1, 1]; 
-
-// hole parameters
-const HOLE_RADIUS_ORIG = 0.8;     // original size (was HOLE_RADIUS)
-const HOLE_HEIGHT = 0.25;
-const HOLE_COLOR = [0, 0, 0, 1];
-
-// size logic
-const TOMATO_RADIUS = 0.08;       // matches tomato scale
-const HOLE_RADIUS_MIN = TOMATO_RADIUS;
-const HOLE_RADIUS_STEP = 0.06;    // how much the hole changes per hit
+const HOLE_COLOR = [0.12, 0.08, 0.05, 1];       // wall and bottom
+const HOLE_RIM_COLOR = [0.35, 0.25, 0.15, 1];
+const HOLE_RIM_WIDTH = 0.05;
+const HOLE_LAYER = 0.002;         // thickness of the rim and opening disks on the ground
+
+// impact effects (libs/effects.js)
+const SPLAT_COLOR = [0.7, 0.05, 0.05, 1];
+const MAX_SPLATS = 32;            // must match MAX_SPLATS in shader.frag
+const PARTICLE_RADIUS = 0.025;
+
+// trajectory preview
+const PREVIEW_COLOR = [1, 0.85, 0.1, 1];
+const PREVIEW_DOT_RADIUS = 0.02;
+const PREVIEW_DOT_STEPS = 8;      // simulation steps between two dots
+const MARKER_RADIUS = 0.12;       // landing marker
+const MARKER_HEIGHT = 0.006;
 
 // perspective parameters
 const BASE_FOVY = 60;
@@ -34,34 +50,22 @@ const FAR_PLANE = 200;
 const ZOOM_MAX = 166;
 const ZOOM_STEP = 1.1;
 
-// tank properties
-const CANNON_STEP = 5;
-const CABIN_STEP = 5;
-const TANK_SPEED = 0.1;
-
-// parameters for projections
+// orbit controller for the axonometric fourth view
 const AXONO_DEFAULT = { theta: 35, gamma: 45 };
-const OBLIQUE_DEFAULT = { alpha: 45, lambda: 0.5 };
-const AXONO_STEP = 5;
-const OBLIQUE_STEP = 5;
-
-// default view matrices
-// front view
-const FRONT_EYE = [0, 0.6, 3];
-const FRONT_AT = [0, 0.6, 0];
-const FRONT_UP = [0, 1, 0];
-
-// left view
-const LEFT_EYE = [-3, 0.6, 0];
-const LEFT_AT = [0, 0.6, 0];
-const LEFT_UP = [0, 1, 0];
-
-// top view
-const TOP_EYE = [0, 5, 0];
-const TOP_AT = [0, 0.6, 0];
-const TOP_UP = [0, 0, -1];
-
-const FOURTH_EYE = [0, 0.6, 7]; //added for 4th view
+const ORBIT_TARGET = [0, 0.6, 0];
+const ORBIT_DISTANCE = 7;
+
+// camera nodes (from scene.json) used by each view
+const VIEW_CAMERAS = ["front_camera", "left_camera", "top_camera", "fourth_camera"];
+// camera node of the fourth view in the multi-view (bottom-right viewport)
+const MULTI_CAMERA = "multi_camera";
+// gunner view (camera on the cannon tip)
+const GUNNER_FOVY = 50;
+const GUNNER_OFFSET = 0.05;   // keeps the camera just outside the barrel
+// view used when a camera node is missing from the scene
+const DEFAULT_EYE = [0, 0.6, 3];
+const DEFAULT_AT = [0, 0.6, 0];
+const DEFAULT_UP = [0, 1, 0];
 
 // ground parameters
 const TILE_SIZE = 0.5;
@@ -69,18 +73,44 @@ const TILE_HEIGHT = 0.05;
 const TILES_PER_SIDE = 24;
 const COLOR_A = [0.8, 0.8, 0.8, 1];
 const COLOR_B = [1, 1, 1, 1];
+const GROUND_PALETTE = [COLOR_A, COLOR_B];   // tile (i, j) uses color (i + j) mod length
+const GROUND_SPECULAR = [0.1, 0.1, 0.1];
+const GROUND_SHININESS = 10;
 
-// time step
-const DT = 0.005;
+// two-finger drag (pixels) worth one second of holding an arrow key
+const TOUCH_ORBIT_PIXELS = 300;
+
+// help panel lines that are not key bindings
+const MOUSE_NOTES = [
+    ["Drag", "Orbit (4th view)"],
+    ["Right-drag", "Pan (4th view)"],
+    ["Wheel", "Zoom"],
+    ["Click", "Pick a scene node"],
+    ["Drag handle", "Gizmo on the picked node"]
+];
+
+// gizmo handle colors (x, y, z) and of the handle being dragged
+const GIZMO_COLORS = [[0.9, 0.15, 0.15, 1], [0.15, 0.75, 0.15, 1], [0.2, 0.35, 1, 1]];
+const GIZMO_ACTIVE_COLOR = [1, 0.85, 0.1, 1];
 
-// scoring
-let score = 0;
-let bestScore = Number(localStorage.getItem("bestScore") || 0); // load best score from localStorage
-let streak = 0; // consecutive hits
-const BASE_POINTS = 10;   // points when hole is at original size
-const STREAK_BONUS = 0.25; // +25% per consecutive hit
+// a click moving more than this (pixels) is a drag, not a pick
+const PICK_DRAG_TOLERANCE = 4;
 
-let wireframe = false;
+// frame time display refresh (seconds)
+const FRAME_STATS_PERIOD = 0.5;
+
+// lights are "light" nodes of the scene graph
+const MAX_LIGHTS = 8; // must match MAX_LIGHTS in shader.frag
+
+// material used for nodes that only declare a color
+const DEFAULT_SPECULAR = [0.3, 0.3, 0.3];
+const DEFAULT_SHININESS = 20;
+const EDGE_COLOR = [0.0, 0.0, 0.0, 1.0];
+
+// simulation time step (seconds)
+const DT = 0.005;
+// simulated seconds per real second (the game was tuned for one DT step per 60 Hz frame)
+const SIM_RATE = 0.3;
 
 
 function setup(shaders) {
@@ -89,205 +119,137 @@ function setup(shaders) {
 
     // view and projection parameters
     let zoom = 1;
-    let mView = lookAt(FRONT_EYE, FRONT_AT, FRONT_UP);
-    let u_color;
-    let currentView = 0;
-    let projectionType = 0;
-
-    // hole state
-    let hole = {
-        pos: null,                 // [x, y, z]
-        radius: HOLE_RADIUS_ORIG,  // current radius
-        shrinking: true            // direction: shrink until min, then grow back
-    };
-
-    // view mode
-    let multiView = false;
-    let isPerspective = false;
-    const viewTypes = [
-        {type: 'axonometric', theta: AXONO_DEFAULT.theta, gamma: AXONO_DEFAULT.gamma},
-        {type: 'oblique', alpha: OBLIQUE_DEFAULT.alpha, l: OBLIQUE_DEFAULT.lambda}
-    ];
-    
+    const view = createViewState();
 
     // scene graph nodes by name
     const nodesByName = {};
     let sceneGraph = null;
-    // active tomatoes
-    let tomatoes = [];
+    // camera and light nodes found on the last traversal
+    let cameras = {};
+    let lights = [];
+    // predicted flight of the next tomato (when the preview is on)
+    let trajectory = null;
+    // deterministic mode (?seed=N): seeded hole placement and a fixed frame time
+    const seed = new URLSearchParams(window.location.search).get("seed");
+    const deterministic = seed != null;
+
+    // splats and particles left by the tomatoes; splats on a node move with it
+    const effects = createEffects({
+        maxSplats: MAX_SPLATS,
+        anchor: (name, point) => {
+            const node = nodesByName[name];
+            return node ? mult(inverse(getWorldMatrix(node)), vec4(point[0], point[1], point[2], 1)).slice(0, 3) : null;
+        },
+        random: deterministic ? createSeededRandom((Number(seed) || 0) + 1) : Math.random
+    });
+
+    // tomatoes, hole and score
+    const game = createGame({
+        onChange: updateScoreHUD,
+        onEvent: effects.impact,
+        // tomatoes collide with every primitive of the scene graph
+        colliders: () => sceneGraph ? sceneColliders(sceneGraph) : [],
+        random: deterministic ? createSeededRandom(Number(seed) || 0) : Math.random
+    });
+    // tank driving and turret (commands set by the keys)
+    const drive = createDrive();
+
+    // fixed-step simulation, independent of the refresh rate
+    const loop = createFixedStepLoop(dt => {
+        updateDrive(nodesByName, drive, dt);
+        game.update(dt);
+        effects.update(dt);
+    }, { step: DT, rate: SIM_RATE, deterministic });
+
+    // mouse orbit for the fourth view (axonometric mode)
+    const orbit = createOrbitController(canvas, {
+        target: ORBIT_TARGET,
+        distance: ORBIT_DISTANCE,
+        theta: AXONO_DEFAULT.theta,
+        gamma: AXONO_DEFAULT.gamma
+    });
+    let lastTime = null;
 
     /** @type WebGL2RenderingContext */
     let gl = setupWebGL(canvas);
 
-    let program = buildProgramFromSources(gl, shaders["shader.vert"], shaders["shader.frag"]);
-    u_color = gl.getUniformLocation(program, "u_color");
+    // shader programs: lit surfaces and unlit lines
+    const programs = {
+        lit: createProgram(gl, shaders["shader.vert"], shaders["shader.frag"], null, ["shader.vert", "shader.frag"]),
+        flat: createProgram(gl, shaders["shader.vert"], shaders["flat.frag"], null, ["shader.vert", "flat.frag"])
+    };
+    let program = programs.lit;     // program in use
+    // offscreen ID buffer for picking scene nodes
+    const pickBuffer = createPickBuffer(gl);
+    // last node picked with the mouse: { node, view } or null
+    let picked = null;
+    // scene inspector (made once the scene is loaded)
+    let inspector = null;
+    // gizmo on the selected node ({ node, handles } or null) and the handle being dragged
+    let gizmo = null;
+    let gizmoDrag = null;
 
     CUBE.init(gl);
     CYLINDER.init(gl);
     SPHERE.init(gl);
+    GROUND.init(gl, {
+        tileSize: TILE_SIZE,
+        tileHeight: TILE_HEIGHT,
+        tilesPerSide: TILES_PER_SIDE,
+        palette: GROUND_PALETTE
+    });
+
+    // on-screen joysticks and buttons (a virtual gamepad), laid out by resize_canvas
+    const touch = createTouchControls(document.body);
+    let touchButtons = [];
 
     resize_canvas();
     window.addEventListener("resize", resize_canvas);
 
-    document.onkeydown = function (event) {
-        switch (event.key) {
-            case '1':
-                // front view
-                if (isPerspective) isPerspective = false;
-                currentView = 0;
-                mView = lookAt(FRONT_EYE, FRONT_AT, FRONT_UP);
-                break;
-            case '2':
-                // left side view
-                if (isPerspective) isPerspective = false;
-                currentView = 1;
-                mView = lookAt(LEFT_EYE, LEFT_AT, LEFT_UP);
-                break;
-            case '3':
-                // top view
-                if (isPerspective) isPerspective = false;
-                currentView = 2;
-                mView = lookAt(TOP_EYE, TOP_AT, TOP_UP);
-                break;
-            case '4':
-                // fourth view
-                if (isPerspective) isPerspective = false;
-                currentView = 3;
-                mView = lookAt(FOURTH_EYE, FRONT_AT, FRONT_UP);
-                break;
-            case '0':
-                // toggle single <-> multiple views
-                if (isPerspective) isPerspective = false;
-                multiView = !multiView;
-                break;
-            case '8':
-                // toggle axonometric <-> oblique (view 4)
-                if (currentView == 3) {
-                    if (!isPerspective) projectionType = (projectionType + 1) % viewTypes.length;
-                }
-                break;
-            case 'ArrowLeft':
-                // rotate view (view 4)
-                if (currentView == 3) {
-                    if (viewTypes[projectionType].type == "axonometric") {
-                        viewTypes[projectionType].theta += AXONO_STEP;
-                    } else {
-                        viewTypes[projectionType].alpha += OBLIQUE_STEP;
-                    }
-                }
-                break;
-            case 'ArrowRight':
-                // rotate view (view 4)
-                if (currentView == 3) {
-                    if (viewTypes[projectionType].type == "axonometric") {
-                        viewTypes[projectionType].theta -= AXONO_STEP;
-                    } else {
-                        viewTypes[projectionType].alpha -= OBLIQUE_STEP;
-                    }
-                }
-                break;
-            case 'ArrowUp':
-                // increase parameter (view 4)
-                if (currentView == 3) {
-                    if (viewTypes[projectionType].type == "axonometric") {
-                        viewTypes[projectionType].gamma += AXONO_STEP;
-                    }
-                    else {
-                        viewTypes[projectionType].l = 
-                        Math.min(viewTypes[projectionType].l + 0.1, 1.0);
-                    }
-                }
-                break;
-            case 'ArrowDown':
-                // decrease parameter (view 4)
-                if (currentView == 3) {
-                    if (viewTypes[projectionType].type == "axonometric") {
-                        viewTypes[projectionType].gamma -= AXONO_STEP;
-                    }
-                    else {
-                        viewTypes[projectionType].l = 
-                        Math.max(viewTypes[projectionType].l - 0.1, 0.1);
-                    }
-                }
-                break;
-            case 'a':
-                // rotate cabin left
-                if (nodesByName["cabin"]) {
-                    nodesByName["cabin"].rotation[1] += CABIN_STEP;
-                }
-                break;
-            case 'd':
-                // rotate cabin right
-                if (nodesByName["cabin"]) {
-                    nodesByName["cabin"].rotation[1] -= CABIN_STEP;
-                }
-                break;
-            case 'w':
-                // rotate cannon up
-                if (nodesByName["cannon_base"]) {
-                    nodesByName["cannon_base"].rotation[2] = 
-                    Math.min(nodesByName["cannon_base"].rotation[2] + CANNON_STEP, CANNON_ROTATION_UPPER_LIMIT);
-                }
-                break;
-            case 's':
-                // rotate cannon down
-                if (nodesByName["cannon_base"]) {
-                    nodesByName["cannon_base"].rotation[2] = 
-                    Math.max(nodesByName["cannon_base"].rotation[2] - CANNON_STEP, CANNON_ROTATION_LOWER_LIMIT);
-                }
-                break;
-            case 'q':
-                // move tank left
-                if (nodesByName["tank"]) {
-                    nodesByName["tank"].translation[0] += TANK_SPEED;
-                    updateWheelRotation(20);
-                }
-                break;
-            case 'e':
-                // move tank right
-                if (nodesByName["tank"]) {
-                    nodesByName["tank"].translation[0] -= TANK_SPEED;
-                    updateWheelRotation(-20);
-                }
-                break;
-            case ' ':
-                // toggle wireframe
-                wireframe = !wireframe;
-                break;
-            case '9':
-                // toggle perspective/orthographic (view 4)
-                if (viewTypes[projectionType].type != "oblique") isPerspective = !isPerspective;
-                break;
-            case 'r':
-                // reset view parameters
-                if (viewTypes[projectionType].type == "axonometric") {
-                    viewTypes[projectionType].theta = AXONO_DEFAULT.theta;
-                    viewTypes[projectionType].gamma = AXONO_DEFAULT.gamma;
-                } else {
-                    viewTypes[projectionType].alpha = OBLIQUE_DEFAULT.alpha;
-                    viewTypes[projectionType].l = OBLIQUE_DEFAULT.lambda;
-                }
-                break;
-            case 'z':
-                // fire the tomato
-                fireTomato();
-                break;
-            case 'x': 
-                //reset score
-                resetScore();
-                break;
-            case 'b': 
-                //reset best score
-                bestScore = 0;
-                localStorage.setItem("bestScore", "0");
-                updateScoreHUD();
-                break;
-
+    // keyboard: press actions run on keydown, hold actions every frame (see render)
+    const controls = { view, orbit, nodesByName, game, loop, drive };
+    const input = createInput(loadBindings(localStorage, DEFAULT_BINDINGS));
+    // key help, generated from the actions; the user's key changes are saved
+    const helpPanel = createHelpPanel(document.getElementById("helpBindings"), {
+        actions: ACTIONS,
+        input,
+        notes: MOUSE_NOTES,
+        onRebind: () => saveBindings(localStorage, input.bindings, DEFAULT_BINDINGS),
+        onReset: () => {
+            for (let action in DEFAULT_BINDINGS) input.bind(action, DEFAULT_BINDINGS[action]);
+            saveBindings(localStorage, input.bindings, DEFAULT_BINDINGS);
         }
-
-        
+    });
+    document.onkeydown = function (event) {
+        if (helpPanel.capture(event)) return;
+        // keys typed into the inspector fields are not actions
+        if (event.target.closest && event.target.closest("input, select, textarea")) return;
+        handleKey(controls, input, event.key);
+        document.getElementById("helpPanel").hidden = !view.help;
+        if (inspector) inspector.element.hidden = !view.inspector;
+    }
+    document.onkeyup = function (event) {
+        handleKeyUp(controls, input, event.key);
     }
+    // keys released while the page has no focus never send keyup
+    window.addEventListener("blur", input.clear);
+    // gamepad buttons down on the last frame (presses act once)
+    let gamepadButtons = [];
+
+    // two fingers on the canvas: pinch to zoom, drag to orbit (view 4)
+    createTouchGestures(canvas, {
+        onPinch: factor => {
+            if (orbit.enabled) {
+                orbit.dolly(1 / factor);
+            } else {
+                zoom /= factor;
+            }
+        },
+        onDrag: (dx, dy) => adjustProjection(controls, dx / TOUCH_ORBIT_PIXELS, dy / TOUCH_ORBIT_PIXELS)
+    });
     canvas.onwheel = function(event) {
+        // the orbit controller dollies instead
+        if (orbit.enabled) return;
         if (event.deltaY <= 0) {
             zoom /= ZOOM_STEP;
         }
@@ -296,29 +258,73 @@ function setup(shaders) {
         }
     }
 
+    // dragging a gizmo handle edits the selected node; this comes before the
+    // orbit controller (capture), which then never sees the drag
+    canvas.addEventListener("pointerdown", function (event) {
+        if (event.button != 0 || !gizmo) return;
+        const hit = pickNode(event.clientX, event.clientY);
+        if (!hit || hit.axis == null) return;
+        const ray = viewportRay(event.clientX, event.clientY, hit.viewport);
+        const drag = startDrag(hit.node, view.gizmo, hit.axis, ray, transformLimits);
+        if (!drag) return;
+        gizmoDrag = { drag, viewport: hit.viewport };
+        pickStart = null;
+        canvas.setPointerCapture(event.pointerId);
+        event.stopImmediatePropagation();
+    }, { capture: true });
+    canvas.addEventListener("pointermove", function (event) {
+        if (gizmoDrag) dragTo(gizmoDrag.drag, viewportRay(event.clientX, event.clientY, gizmoDrag.viewport));
+    });
+    canvas.addEventListener("pointerup", function () { gizmoDrag = null; });
+    canvas.addEventListener("pointercancel", function () { gizmoDrag = null; });
+
+    // a click (not a drag) on the canvas picks the node under the cursor
+    let pickStart = null;
+    canvas.addEventListener("pointerdown", function (event) {
+        pickStart = event.button == 0 ? [event.clientX, event.clientY] : null;
+    });
+    canvas.addEventListener("pointerup", function (event) {
+        if (!pickStart) return;
+        const moved = Math.hypot(event.clientX - pickStart[0], event.clientY - pickStart[1]);
+        pickStart = null;
+        if (moved > PICK_DRAG_TOLERANCE) return;
+        picked = pickNode(event.clientX, event.clientY);
+        updatePickHUD();
+        if (inspector) inspector.select(picked ? picked.node : null);
+    });
+
     gl.clearColor(0.3, 0.3, 0.3, 1.0);
     gl.enable(gl.CULL_FACE); // cull back faces (typical) (better performance, 
     // as was mentioned on lecture)
     gl.cullFace(gl.BACK);
     gl.enable(gl.DEPTH_TEST);   // Enables Z-buffer depth test
 
-    // load scene graph
-    loadJSONFile("scene.json").then(obj => {
+    // objects drawn for each scene graph primitive
+    const PRIMITIVE_OBJECTS = { cube: CUBE, cylinder: CYLINDER, sphere: SPHERE };
+
+    // fixed styles for the objects outside the scene graph
+    const DEFAULT_STYLE = { color: [1, 1, 1, 1], material: materialFromColor([1, 1, 1, 1]) };
+    const TOMATO_STYLE = { color: TOMATO_COLOR, material: { ...materialFromColor(TOMATO_COLOR), Ks: [0.8, 0.8, 0.8], shininess: 60 } };
+    const HOLE_STYLE = { color: HOLE_COLOR, material: materialFromColor(HOLE_COLOR) };
+    const HOLE_RIM_STYLE = { color: HOLE_RIM_COLOR, material: materialFromColor(HOLE_RIM_COLOR) };
+    // ambient and diffuse colors come from the ground palette
+    const GROUND_STYLE = {
+        color: [1, 1, 1, 1],
+        material: { ...materialFromColor([1, 1, 1, 1]), Ks: GROUND_SPECULAR, shininess: GROUND_SHININESS }
+    };
+
+    // load (and validate) the scene graph
+    loadScene("scene.json").then(obj => {
         sceneGraph = obj;
-        indexNodes(sceneGraph);
+        indexScene(sceneGraph, nodesByName);
+        inspector = createInspector(document.body, {
+            root: sceneGraph,
+            nodesByName,
+            onExport: saveScene,
+            limits: transformLimits
+        });
         window.requestAnimationFrame(render);
-    });
-
-    // index nodes by name for easy access
-    function indexNodes(node) {
-        if (!node || !node.name) return;
-        nodesByName[node.name] = node;
-        if (node.children) {
-            for (let child of node.children) {
-                indexNodes(child, node);
-            }
-        }
-    }
+    }).catch(showErrorOverlay);
 
     // handle canvas resizing
     function resize_canvas(event) {
@@ -326,33 +332,82 @@ function setup(shaders) {
         canvas.height = window.innerHeight;
         aspect = canvas.width / canvas.height;
         gl.viewport(0, 0, canvas.width, canvas.height);
-        let proj = ortho(-aspect * zoom, aspect * zoom, -zoom, zoom, -50, 50); //fixed for 4th view
-        uploadProjection(proj);
+        touch.layout(canvas.width, canvas.height);
     }
 
-    // update wheel rotation when tank moves
-    function updateWheelRotation(rotationSpeed) {
-        for (let wheel of nodesByName["wheelsRootLeft"].children) {
-            wheel.rotation[1] = (wheel.rotation[1] + rotationSpeed) % 360;
-        }
-        for (let wheel of nodesByName["wheelsRootRight"].children) {
-            wheel.rotation[1] = (wheel.rotation[1] + rotationSpeed) % 360;
-        }
+    // switch to one of the programs
+    function useProgram(name) {
+        program = programs[name];
+        program.use();
     }
 
     // upload projection matrix
     function uploadProjection(m) {
-        uploadMatrix("u_projection", m);
+        program.setMat4("u_projection", m);
     }
 
-    // upload model-view matrix
+    // upload model-view matrix (and the matching normal matrix)
     function uploadModelView() {
-        uploadMatrix("u_model_view", modelView());
+        const mv = modelView();
+        program.setMat4("u_model_view", mv);
+        program.setMat3("u_normals", normalMatrix(mv, true));
+    }
+
+    // upload the lights, transformed to camera coordinates by the view matrix
+    function uploadLights(cameraMatrix) {
+        const n = Math.min(lights.length, MAX_LIGHTS);
+        program.setInt("u_n_lights", n);
+        for (let i = 0; i < n; i++) {
+            const light = lights[i];
+            const prefix = "u_lights[" + i + "].";
+            program.setVec4(prefix + "pos", mult(cameraMatrix, light.position));
+            program.setVec3(prefix + "ambient", light.ambient);
+            program.setVec3(prefix + "diffuse", light.diffuse);
+            program.setVec3(prefix + "specular", light.specular);
+        }
+    }
+
+    // upload material properties
+    function uploadMaterial(material) {
+        program.setVec3("u_material.Ka", material.Ka);
+        program.setVec3("u_material.Kd", material.Kd);
+        program.setVec3("u_material.Ks", material.Ks);
+        program.setFloat("u_material.shininess", material.shininess);
+    }
+
+    // material derived from a plain color (ambient and diffuse follow the color)
+    function materialFromColor(color) {
+        return {
+            Ka: color.slice(0, 3),
+            Kd: color.slice(0, 3),
+            Ks: DEFAULT_SPECULAR,
+            shininess: DEFAULT_SHININESS
+        };
+    }
+
+    // color and material of a node; missing ones are inherited from the parent
+    function nodeStyle(node, parentStyle) {
+        const color = node.color || parentStyle.color;
+        let material = parentStyle.material;
+        if (node.material) {
+            material = Object.assign(materialFromColor(color), node.material);
+        } else if (node.color) {
+            material = materialFromColor(node.color);
+        }
+        return { color, material };
     }
 
-    // upload a 4x4 matrix uniform
-    function uploadMatrix(name, m) {
-        gl.uniformMatrix4fv(gl.getUniformLocation(program, name), false, flatten(m));
+    // draw a primitive's faces with the lit program
+    function drawFaces(obj, style) {
+        program.setVec4("u_color", style.color);
+        uploadMaterial(style.material);
+        obj.draw(gl, program.program, gl.TRIANGLES);
+    }
+
+    // draw a primitive's edges with the flat program
+    function drawEdges(obj, color = EDGE_COLOR) {
+        program.setVec4("u_color", color);
+        obj.draw(gl, program.program, gl.LINES);
     }
 
     // oblique projection matrix
@@ -366,198 +421,232 @@ function setup(shaders) {
         return m;
     }
 
-    // get world matrix of a given node
-    function getWorldMatrix(node) {
-        const chain = [node];
-        while (node.parent) {
-            node = nodesByName[node.parent];
-            chain.push(node);
-        }   
-        let m = mat4();
-        chain.reverse();
-        for (let n of chain) {
-            m = mult(m, translate(n.translation));
-            m = mult(m, rotateZ(n.rotation[2]));
-            m = mult(m, rotateY(n.rotation[1]));
-            m = mult(m, rotateX(n.rotation[0]));
+    // draw all active tomatoes (lit spheres, or their edges in wireframe),
+    // interpolated between the last two simulation steps
+    function drawTomatoes(edges) {
+        for (let t of game.tomatoes) {
+            pushMatrix();
+            multTranslation(tomatoPosition(t, loop.alpha));
+            multScale([TOMATO_RADIUS, TOMATO_RADIUS, TOMATO_RADIUS]);
+            uploadModelView();
+            if (edges) {
+                drawEdges(SPHERE);
+            } else {
+                drawFaces(SPHERE, TOMATO_STYLE);
+            }
+            popMatrix();
         }
-        return m;
     }
 
+    // color with its alpha multiplied by opacity
+    function faded(color, opacity) {
+        return [color[0], color[1], color[2], color[3] * opacity];
+    }
 
-    // get cannon tip position and direction in world coordinates
-    function getCannonPose() {
-        const cannon = nodesByName["cannon"];
-        if (!cannon) return null;
-        const M = getWorldMatrix(cannon); // world matrix of cannon base
-        const tip4 = mult(M, vec4(0, -0.5, 0, 1)); // cannon tip position (in homogenous coords)
-        const dir4 = mult(M, vec4(0, -1, 0, 0));  // cannon direction vector (in homogenous coords)
-        const tip = vec3(tip4[0], tip4[1], tip4[2]); // convert to vec3
-        const dir = normalize(vec3(dir4[0], dir4[1], dir4[2])); // convert to vec3 and normalize the direction
-        return { tip, dir }; // so pose is a tuple of position and direction
-    }
-
-    // fire a tomato from the cannons
-    function fireTomato() {
-        const pose = getCannonPose(); if (!pose) return;
-        const offset = 0.1, speed = TOMATO_SPEED;
-        // add new tomato to active tomatoes list with initial position and velocity
-        tomatoes.push({
-            pos: [pose.tip[0] + pose.dir[0]*offset,
-            pose.tip[1] + pose.dir[1]*offset,
-            pose.tip[2] + pose.dir[2]*offset],
-            vel: [pose.dir[0]*speed, pose.dir[1]*speed, pose.dir[2]*speed]
-        });
+    // world position of a splat now (it follows the node it is on), or null if the node is gone
+    function splatPosition(s) {
+        if (!s.node) return s.pos;
+        const node = nodesByName[s.node];
+        return node ? mult(getWorldMatrix(node), vec4(s.local[0], s.local[1], s.local[2], 1)).slice(0, 3) : null;
     }
 
-    // update tomato positions and handle scoring
-    function updateTomatoes(dt) {
-        const g = TOMATO_GRAVITY;
-        for (let t of tomatoes) {
-            t.vel[1] += g*dt;
-            t.pos[0] += t.vel[0]*dt;
-            t.pos[1] += t.vel[1]*dt;
-            t.pos[2] += t.vel[2]*dt;
-            // hole hit test
-            if (hole.pos) {
-                const dx = t.pos[0] - hole.pos[0]; // x distance to hole center
-                const dz = t.pos[2] - hole.pos[2]; // z distance to hole center
-                const r = hole.radius;
-                const nearGround = Math.abs(t.pos[1]) < 0.05; // close to ground
-                if (dx*dx + dz*dz <= r*r && nearGround) { // if inside hole radius and near ground
-                    // tomato scored: remove tomato and adjust hole size
-                    t._remove = true;
-                    // successful hit: update score
-                    const points = scoreForHit(hole.radius);
-                    commitScore(points);
-                    // adjust hole size for next time (depending on whether the hole is shrinking or growing)
-                    if (hole.shrinking) {
-                        hole.radius = Math.max(HOLE_RADIUS_MIN, hole.radius - HOLE_RADIUS_STEP);
-                        if (hole.radius <= HOLE_RADIUS_MIN + 1e-6) {
-                            hole.shrinking = false; // start growing on next hits
-                        }
-                    } else {
-                        hole.radius = Math.min(HOLE_RADIUS_ORIG, hole.radius + HOLE_RADIUS_STEP);
-                        if (hole.radius >= HOLE_RADIUS_ORIG - 1e-6) {
-                            hole.shrinking = true; // reached full size, next hits shrink again
-                        }
-                    }
-                    relocateHole();
-                }
-            }
-            // out-of-bounds test
-            if (!t._remove && t.pos[1] < -0.1 || Math.abs(t.pos[0]) > 5 || Math.abs(t.pos[2]) > 5) {
-                t._missed = true;
-                // missed tomato: reset streak
-                streak = 0;
-                updateScoreHUD();
-            }
+    // upload the splats (centers in camera coordinates): the lit program paints
+    // every surface inside a splat's radius, so they follow the ground, the hole
+    // and the tank parts alike, fading out
+    function uploadSplats(cameraMatrix) {
+        let n = 0;
+        for (let s of effects.splats) {
+            if (n == MAX_SPLATS) break;
+            const pos = splatPosition(s);
+            if (!pos) continue;
+            const center = mult(cameraMatrix, vec4(pos[0], pos[1], pos[2], 1));
+            program.setVec4("u_splats[" + n + "]", [center[0], center[1], center[2], s.radius]);
+            program.setFloat("u_splat_opacity[" + n + "]", fade(s));
+            n++;
         }
-
-        // remove out-of-bounds + scored tomatoes
-        tomatoes = tomatoes.filter(t =>
-            !t._remove &&
-            !(t.pos[1] < -0.1 || Math.abs(t.pos[0]) > 5 || Math.abs(t.pos[2]) > 5)
-        );
+        program.setInt("u_n_splats", n);
+        program.setVec3("u_splat_color", SPLAT_COLOR.slice(0, 3));
     }
 
-    // draw all active tomatoes
-    function drawTomatoes() {
-        for (let t of tomatoes) {
+    // draw the impact particles, fading out (lit spheres, or their edges in wireframe)
+    function drawParticles(edges) {
+        for (let p of effects.particles) {
             pushMatrix();
-            multTranslation(t.pos);
-            multScale([TOMATO_RADIUS, TOMATO_RADIUS, TOMATO_RADIUS]);
-            gl.uniform4fv(u_color, TOMATO_COLOR);
+            multTranslation(tomatoPosition(p, loop.alpha));
+            multScale([2 * PARTICLE_RADIUS, 2 * PARTICLE_RADIUS, 2 * PARTICLE_RADIUS]);
             uploadModelView();
-            if (!wireframe) {
-                SPHERE.draw(gl, program, gl.TRIANGLES);
+            const color = faded(TOMATO_COLOR, fade(p));
+            if (edges) {
+                drawEdges(SPHERE, color);
             } else {
-                gl.uniform4fv(u_color, [0.0, 0.0, 0.0, 1.0]);
-                SPHERE.draw(gl, program, gl.LINES);
+                drawFaces(SPHERE, { color, material: TOMATO_STYLE.material });
             }
             popMatrix();
         }
     }
 
-    // draw scene graph recursively
-    function drawByGraph(node) {
+    // draw the trajectory preview: a dotted arc and a landing marker (flat program)
+    function drawTrajectory() {
+        if (!trajectory) return;
+        program.setVec4("u_color", PREVIEW_COLOR);
+        const points = trajectory.points;
+        for (let i = PREVIEW_DOT_STEPS; i < points.length; i += PREVIEW_DOT_STEPS) {
+            pushMatrix();
+            multTranslation(points[i]);
+            multScale([2 * PREVIEW_DOT_RADIUS, 2 * PREVIEW_DOT_RADIUS, 2 * PREVIEW_DOT_RADIUS]);
+            uploadModelView();
+            SPHERE.draw(gl, program.program, gl.TRIANGLES);
+            popMatrix();
+        }
+        const impact = trajectory.impact;
+        if (!impact) return;
         pushMatrix();
-        multTranslation(node.translation);   
-        multRotationZ(node.rotation[2]);     
-        multRotationY(node.rotation[1]);     
-        multRotationX(node.rotation[0]);     
-        multScale(node.scale);               
-        if (node.color) {
-            gl.uniform4fv(u_color, node.color);
+        if (impact.volume) {
+            // on a scene node: a larger dot
+            multTranslation(impact.point);
+            multScale([MARKER_RADIUS, MARKER_RADIUS, MARKER_RADIUS]);
+            uploadModelView();
+            SPHERE.draw(gl, program.program, gl.TRIANGLES);
+        } else {
+            // on the ground: a flat disk
+            multTranslation([impact.point[0], impact.point[1] + MARKER_HEIGHT / 2, impact.point[2]]);
+            multScale([2 * MARKER_RADIUS, MARKER_HEIGHT, 2 * MARKER_RADIUS]);
+            uploadModelView();
+            CYLINDER.draw(gl, program.program, gl.TRIANGLES);
         }
-        uploadModelView();
-        if (node.primitive == "cube") {
-            if (!wireframe) {
-                CUBE.draw(gl, program, gl.TRIANGLES);
-            }
-            gl.uniform4fv(u_color, [0.0, 0.0, 0.0, 1.0]);
-            CUBE.draw(gl, program, gl.LINES);
+        popMatrix();
+    }
 
-        } else if (node.primitive == "cylinder") {
-            if (!wireframe) {
-                CYLINDER.draw(gl, program, gl.TRIANGLES);
-            }
-            gl.uniform4fv(u_color, [0.0, 0.0, 0.0, 1.0]);
-            CYLINDER.draw(gl, program, gl.LINES);
-        } else if (node.primitive == "sphere") {
-            if (!wireframe) {
-                SPHERE.draw(gl, program, gl.TRIANGLES);
-            }
-            gl.uniform4fv(u_color, [0.0, 0.0, 0.0, 1.0]);
-            SPHERE.draw(gl, program, gl.LINES);
-        }
+    // predict where the cannon would send a tomato now
+    function updateTrajectory() {
+        const pose = view.trajectory ? getCannonPose(nodesByName) : null;
+        trajectory = pose ? predictTrajectory(pose, { step: DT, volumes: sceneColliders(sceneGraph) }) : null;
+    }
+
+    // draw translucent objects: blended, without hiding what is drawn after them
+    function drawBlended(draw) {
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+        gl.depthMask(false);
+        draw();
+        gl.depthMask(true);
+        gl.disable(gl.BLEND);
+    }
+
+    // node type: "camera", "light", "group" or "primitive" (default depends on the primitive)
+    function nodeType(node) {
+        if (node.type) return node.type;
+        return node.primitive ? "primitive" : "group";
+    }
+
+    // walk the scene graph with each node's world matrix (cached by the scene,
+    // inheritScale included) appended to the top of the stack;
+    // visit(node, state) returns the state handed to the node's children
+    function traverseGraph(node, visit, state) {
+        pushMatrix();
+        multMatrix(getWorldMatrix(node));
+        const childState = visit(node, state);
+        popMatrix();
         if (node.children) {
             for (let child of node.children) {
-                pushMatrix();
-                // cancel the parent's scale if the child does not inherit it
-                if (child.inheritScale == false && node.scale) {
-                    multScale([
-                        1 / node.scale[0],
-                        1 / node.scale[1],
-                        1 / node.scale[2]
-                    ]);
-                }
-                // set child's color if it does not have one
-                if (!child.color && node.color) {
-                    gl.uniform4fv(u_color, node.color);
-                }
-                drawByGraph(child);
-                popMatrix();
+                traverseGraph(child, visit, childState);
             }
         }
-    popMatrix();
-    }
-
-    // scoring functions
-    function scoreForHit(holeRadius) {
-        // smaller hole -> more points
-        const tightness = (HOLE_RADIUS_ORIG / Math.max(HOLE_RADIUS_MIN, holeRadius));
-        const scaled = BASE_POINTS * (0.5 + 0.5 * tightness);
-        const streakMult = 1 + STREAK_BONUS * streak;
-        return Math.round(scaled * streakMult);
-    }
-    
-    // commit score and update HUD
-    function commitScore(points) {
-        score += points;
-        streak += 1;
-        if (score > bestScore) {
-            bestScore = score;
-            localStorage.setItem("bestScore", String(bestScore));
+    }
+
+    // draw scene graph recursively: the faces (lit program) or the edges (flat program)
+    function drawByGraph(node, edges) {
+        if (edges) {
+            traverseGraph(node, drawNodeEdges);
+        } else {
+            traverseGraph(node, drawNode, DEFAULT_STYLE);
+        }
+    }
+
+    // draw the faces of a single node (only primitive nodes have geometry)
+    function drawNode(node, parentStyle) {
+        const style = nodeStyle(node, parentStyle);
+        const obj = PRIMITIVE_OBJECTS[node.primitive];
+        if (nodeType(node) == "primitive" && obj) {
+            uploadModelView();
+            drawFaces(obj, style);
+        }
+        return style;
+    }
+
+    // draw the edges of a single node
+    function drawNodeEdges(node) {
+        const obj = PRIMITIVE_OBJECTS[node.primitive];
+        if (nodeType(node) == "primitive" && obj) {
+            uploadModelView();
+            drawEdges(obj);
         }
-        updateScoreHUD();
     }
 
-    // reset score and streak
-    function resetScore() {
-        score = 0;
-        streak = 0;
-        updateScoreHUD();
+    // collect the world placement of camera and light nodes
+    function collectNodes() {
+        cameras = {};
+        lights = [];
+        loadMatrix(mat4());
+        traverseGraph(sceneGraph, node => {
+            const type = nodeType(node);
+            if (type == "camera") {
+                const m = modelView();
+                // cameras look down their local -z axis with +y up
+                const eye = mult(m, vec4(0, 0, 0, 1));
+                const forward = mult(m, vec4(0, 0, -1, 0));
+                const up = mult(m, vec4(0, 1, 0, 0));
+                cameras[node.name] = lookAt(
+                    vec3(eye[0], eye[1], eye[2]),
+                    vec3(eye[0] + forward[0], eye[1] + forward[1], eye[2] + forward[2]),
+                    vec3(up[0], up[1], up[2])
+                );
+            } else if (type == "light") {
+                const light = node.light;
+                // directional lights shine down their local -z axis
+                // (position holds the direction towards the light, w = 0)
+                const position = light.type == "directional" ?
+                    mult(modelView(), vec4(0, 0, 1, 0)) :
+                    mult(modelView(), vec4(0, 0, 0, 1));
+                lights.push({
+                    position,
+                    ambient: light.ambient,
+                    diffuse: light.diffuse,
+                    specular: light.specular
+                });
+            }
+        });
+    }
+
+    // view matrix of one of the four views or of the gunner view
+    function viewMatrix(index) {
+        if (index == GUNNER_VIEW) return gunnerViewMatrix();
+        const name = index == FOURTH_VIEW && view.multi ? MULTI_CAMERA : VIEW_CAMERAS[index];
+        return cameras[name] || lookAt(DEFAULT_EYE, DEFAULT_AT, DEFAULT_UP);
+    }
+
+    // camera at the cannon tip looking along the barrel
+    function gunnerViewMatrix() {
+        const pose = getCannonPose(nodesByName);
+        if (!pose) return lookAt(DEFAULT_EYE, DEFAULT_AT, DEFAULT_UP);
+        const eye = add(pose.tip, scale(GUNNER_OFFSET, pose.dir));
+        return lookAt(eye, add(eye, pose.dir), [0, 1, 0]); // pitch never reaches 90 degrees
+    }
+
+    // download the current state of the scene graph as a scene file
+    function saveScene() {
+        if (sceneGraph) downloadText("scene.json", serializeScene(sceneGraph));
+    }
+    document.getElementById("saveScene").onclick = saveScene;
+
+    // save text as a file through the browser
+    function downloadText(filename, text) {
+        const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
     }
 
     // update score display in HUD
@@ -565,134 +654,294 @@ function setup(shaders) {
         const sEl = document.getElementById("scoreValue");
         const bEl = document.getElementById("bestValue");
         const stEl = document.getElementById("streakValue");
-        if (sEl) sEl.textContent = String(score);
-        if (bEl) bEl.textContent = String(bestScore);
-        if (stEl) stEl.textContent = String(streak);
+        if (sEl) sEl.textContent = String(game.score);
+        if (bEl) bEl.textContent = String(game.bestScore);
+        if (stEl) stEl.textContent = String(game.streak);
     }
     // initialize HUD once
     updateScoreHUD();
 
-    // draw ground tiles
+    // draw ground tiles (a single mesh with per-tile colors)
     function drawGround() {
-        const half = TILES_PER_SIDE / 2;
-        for (let i = -half; i < half; i++) {
-            for (let j = -half; j < half; j++) {
-                pushMatrix();
-
-                multTranslation([i*TILE_SIZE, -TILE_HEIGHT/2, j*TILE_SIZE]);
-                multScale([TILE_SIZE, TILE_HEIGHT, TILE_SIZE]);
-                
-                let color;
-                if ((i + j) % 2 == 0) {
-                    color = COLOR_A;
-                } else {
-                    color = COLOR_B;
-                }
-
-                gl.uniform4fv(u_color, color);
-                uploadModelView();
-                CUBE.draw(gl, program, gl.TRIANGLES);
-                popMatrix();
-            }
-        }
+        program.setVec4("u_color", GROUND_STYLE.color);
+        uploadMaterial(GROUND_STYLE.material);
+        uploadModelView();
+        program.setBool("u_vertex_color", true);
+        GROUND.draw(gl, program.program);
+        program.setBool("u_vertex_color", false);
     }
 
-    // generate a random position for the hole within bounds
-    function randomHolePos() {
-        const rx = (Math.random() * 2 - 1) * 5;
-        const rz = (Math.random() * 2 - 1) * 5;
-        return [rx, -0.06, rz]; // a bit above ground to avoid z-fighting
+    // show the average frame time over the last FRAME_STATS_PERIOD
+    let frameStats = { time: 0, frames: 0 };
+    function updateFrameStats(dt) {
+        frameStats.time += dt;
+        frameStats.frames++;
+        if (frameStats.time < FRAME_STATS_PERIOD) return;
+        const el = document.getElementById("frameValue");
+        if (el) el.textContent = (1000 * frameStats.time / frameStats.frames).toFixed(1) + " ms";
+        frameStats = { time: 0, frames: 0 };
     }
 
-    // relocate hole to a new random position
-    function relocateHole() {
-        hole.pos = randomHolePos();
+    // show the simulation speed
+    function updateTimeHUD() {
+        const el = document.getElementById("timeValue");
+        if (!el) return;
+        el.textContent = loop.paused ? "paused" : loop.timeScale + "\u00d7";
     }
 
-    // draw the hole
-    function drawHole() {
-        if (!hole.pos) {
-            const rx = (Math.random() * 2 - 1) * 5;
-            const rz = (Math.random() * 2 - 1) * 5;
-            hole.pos = [rx, -0.06, rz];
-            hole.radius = HOLE_RADIUS_ORIG;
-            hole.shrinking = true;
-        }
+    // draw a disk (unit cylinder) of a given radius and height, its top at y = top
+    function drawHoleDisk(radius, top, height, style) {
+        const pos = game.hole.pos;
         pushMatrix();
-        multTranslation(hole.pos);
-        multScale([
-            Math.max(0.001, hole.radius),
-            HOLE_HEIGHT,
-            Math.max(0.001, hole.radius)
-        ]);
-        gl.uniform4fv(u_color, HOLE_COLOR);
+        multTranslation([pos[0], top - height / 2, pos[2]]);
+        multScale([2 * radius, height, 2 * radius]);
         uploadModelView();
-        CYLINDER.draw(gl, program, gl.TRIANGLES);
+        drawFaces(CYLINDER, style);
         popMatrix();
     }
 
-    // draw the scene for a given view matrix and viewport size
-    function drawScene(viewMat, vpW, vpH) {
+    // draw the hole, a cylinder going down from the ground (right after the ground):
+    // the rim around it, then its opening clears the depth of the ground so that
+    // the inside of the cylinder (wall and bottom, its back faces) shows through
+    function drawHole() {
+        const hole = game.hole;
+        const radius = Math.max(0.001, hole.radius);
+        const ground = hole.pos[1];
+        drawHoleDisk(radius + HOLE_RIM_WIDTH, ground + HOLE_LAYER, HOLE_LAYER, HOLE_RIM_STYLE);
+
+        gl.colorMask(false, false, false, false);
+        gl.depthFunc(gl.ALWAYS);
+        gl.depthRange(1, 1);
+        drawHoleDisk(radius, ground + 2 * HOLE_LAYER, HOLE_LAYER, HOLE_STYLE);
+        gl.depthRange(0, 1);
+        gl.depthFunc(gl.LESS);
+        gl.colorMask(true, true, true, true);
+
+        gl.cullFace(gl.FRONT);
+        drawHoleDisk(radius, ground, HOLE_DEPTH, HOLE_STYLE);
+        gl.cullFace(gl.BACK);
+    }
+
+    // load the view matrix of a view and return its projection for a viewport size
+    function setupCamera(index, vpW, vpH) {
         const aspectV = vpW / vpH;
+        const params = projectionParams(view);
+        // the axonometric fourth view is driven by the orbit controller
+        const orbiting = index == FOURTH_VIEW && !view.multi && params.type == 'axonometric';
         let proj;
-        if (isPerspective) {
+        if (index == GUNNER_VIEW) {
+            const fovy = Math.min(GUNNER_FOVY * zoom, ZOOM_MAX);
+            proj = perspective(fovy, aspectV, NEAR_PLANE, FAR_PLANE);
+        } else if (view.perspective) {
             const fovy = Math.min(BASE_FOVY * zoom * 0.5, ZOOM_MAX);
             proj = perspective(fovy, aspectV, NEAR_PLANE, FAR_PLANE)
         } else {
-            proj = ortho(-aspectV * zoom, aspectV * zoom, -zoom, zoom, NEAR_PLANE, FAR_PLANE);
+            // in ortho, dollying the orbit camera changes the visible extent
+            const z = orbiting ? zoom * orbit.zoomFactor() : zoom;
+            proj = ortho(-aspectV * z, aspectV * z, -z, z, NEAR_PLANE, FAR_PLANE);
         }
-        loadMatrix(viewMat);
-        if (currentView == 3 && !multiView) {
-            const view = viewTypes[projectionType];
-            if (view.type == 'axonometric') {
-                multRotationX(view.gamma);
-                multRotationY(view.theta);
-            } else if (view.type == 'oblique') {
-                proj = mult(proj, obliqueProjection(view.alpha, view.l));
-            }
+        if (orbiting) {
+            loadMatrix(orbit.viewMatrix());
+        } else {
+            loadMatrix(viewMatrix(index));
         }
+        if (index == FOURTH_VIEW && !view.multi && params.type == 'oblique') {
+            proj = mult(proj, obliqueProjection(params.alpha, params.l));
+        }
+        return proj;
+    }
+
+    // draw the scene for a given view and viewport size
+    function drawScene(index, vpW, vpH) {
+        const proj = setupCamera(index, vpW, vpH);
+        // lit surfaces
+        useProgram("lit");
         uploadProjection(proj);
+        uploadLights(modelView());
+        uploadSplats(modelView());
         drawGround();
-        drawByGraph(sceneGraph);
-        drawTomatoes();
         drawHole();
+        if (!view.wireframe) {
+            drawByGraph(sceneGraph, false);
+            drawTomatoes(false);
+        }
+        if (!view.wireframe) drawBlended(() => drawParticles(false));
+
+        // edges
+        useProgram("flat");
+        uploadProjection(proj);
+        drawByGraph(sceneGraph, true);
+        drawTrajectory();
+        drawGizmo();
+        if (view.wireframe) {
+            drawTomatoes(true);
+            drawBlended(() => drawParticles(true));
+        }
     }
 
-    // render the entire scene
-    function render() {
-        window.requestAnimationFrame(render);
-        if (!sceneGraph) return;
-        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
-        gl.useProgram(program);
-        updateTomatoes(DT);
+    // show the gunner reticle centered at (x, y) (pixels from the top-left corner)
+    function updateReticle(visible, x, y) {
+        const reticle = document.getElementById("reticle");
+        if (!reticle) return;
+        reticle.style.display = visible ? "block" : "none";
+        reticle.style.left = x + "px";
+        reticle.style.top = y + "px";
+    }
 
-        if (multiView) {
-            // 4 equal-sized viewports
-            const halfW = canvas.width / 2;
-            const halfH = canvas.height / 2;
+    // viewports of the views on screen: { index, x, y, width, height } (GL pixels)
+    function viewportLayout() {
+        if (!view.multi) {
+            // single full view
+            return [{ index: view.current, x: 0, y: 0, width: canvas.width, height: canvas.height }];
+        }
+        // 4 equal-sized viewports
+        const halfW = canvas.width / 2;
+        const halfH = canvas.height / 2;
+        return [
+            { index: 0, x: 0, y: halfH, width: halfW, height: halfH },     // front view (top-left)
+            { index: 2, x: halfW, y: halfH, width: halfW, height: halfH }, // top view (top-right)
+            { index: 1, x: 0, y: 0, width: halfW, height: halfH },         // left view (bottom-left)
+            // fourth or gunner view (bottom-right)
+            { index: view.current == GUNNER_VIEW ? GUNNER_VIEW : FOURTH_VIEW, x: halfW, y: 0, width: halfW, height: halfH }
+        ];
+    }
 
-            // front view (top-left)
-            gl.viewport(0, halfH, halfW, halfH);
-            drawScene(lookAt([0, 0.6, 3], [0, 0.6, 0], [0, 1, 0]), halfW, halfH);
+    // canvas pixel (GL coordinates, rows going up) at a point of the page
+    function canvasPixel(clientX, clientY) {
+        const rect = canvas.getBoundingClientRect();
+        return [
+            (clientX - rect.left) * canvas.width / rect.width,
+            (rect.bottom - clientY) * canvas.height / rect.height
+        ];
+    }
 
-            // top view (top-right)
-            gl.viewport(halfW, halfH, halfW, halfH);
-            drawScene(lookAt([0, 5, 0], [0, 0.6, 0], [0, 0, -1]), halfW, halfH);
+    // world ray through a point of the page, seen from the camera of a viewport
+    function viewportRay(clientX, clientY, vp) {
+        const [x, y] = canvasPixel(clientX, clientY);
+        const proj = setupCamera(vp.index, vp.width, vp.height);
+        return unprojectRay(mult(proj, modelView()),
+            2 * (x - vp.x) / vp.width - 1, 2 * (y - vp.y) / vp.height - 1);
+    }
 
-            // left view (bottom-left)
-            gl.viewport(0, 0, halfW, halfH);
-            drawScene(lookAt([-3, 0.6, 0], [0, 0.6, 0], [0, 1, 0]), halfW, halfH);
+    // gizmo of the current mode on the node selected in the inspector, or null
+    function currentGizmo() {
+        const node = inspector && inspector.selected();
+        if (!view.gizmo || !node) return null;
+        return { node, handles: gizmoHandles(gizmoFrame(node, view.gizmo), view.gizmo) };
+    }
 
-            // fourth view (bottom-right)
-            gl.viewport(halfW, 0, halfW, halfH);
-            drawScene(lookAt([0, 0.6, 3], [0, 0.6, 0], [0, 1, 0]), halfW, halfH);
-        } else {
-            // single full view
-            gl.viewport(0, 0, canvas.width, canvas.height);
-            drawScene(mView, canvas.width, canvas.height);
+    // draw the parts of the gizmo handles, in front of everything (flat program);
+    // color(axis) gives the color of each handle
+    function drawGizmoHandles(color) {
+        gl.disable(gl.DEPTH_TEST);
+        gizmo.handles.forEach((parts, axis) => {
+            program.setVec4("u_color", color(axis));
+            for (let part of parts) {
+                pushMatrix();
+                multMatrix(part.matrix);
+                uploadModelView();
+                PRIMITIVE_OBJECTS[part.primitive].draw(gl, program.program, gl.TRIANGLES);
+                popMatrix();
+            }
+        });
+        gl.enable(gl.DEPTH_TEST);
+    }
+
+    // draw the gizmo, the dragged handle highlighted
+    function drawGizmo() {
+        if (!gizmo) return;
+        const active = gizmoDrag ? gizmoDrag.drag.axis : null;
+        drawGizmoHandles(axis => axis == active ? GIZMO_ACTIVE_COLOR : GIZMO_COLORS[axis]);
+    }
+
+    /**
+     * Scene node drawn at a point of the page: renders the primitives of the
+     * view under the point, and the gizmo handles over them, with ID colors
+     * into the pick buffer.
+     * @returns {{node: object, axis: number|null, view: number, viewport: object}|null}
+     *   the node (for a gizmo handle, the node it edits and the handle axis),
+     *   and the view and viewport it was seen in
+     */
+    function pickNode(clientX, clientY) {
+        if (!sceneGraph) return null;
+        const [x, y] = canvasPixel(clientX, clientY).map(Math.floor);
+        const vp = viewportAt(viewportLayout(), x, y);
+        if (!vp) return null;
+        // the cameras were placed by the last render
+        const targets = [];     // what each ID stands for (ID 1 is targets[0]): { node } or { axis }
+        const id = pickBuffer.pick(canvas.width, canvas.height, x, y, () => {
+            gl.viewport(vp.x, vp.y, vp.width, vp.height);
+            useProgram("flat");
+            uploadProjection(setupCamera(vp.index, vp.width, vp.height));
+            // the ground hides what is below it, but cannot be picked
+            gl.colorMask(false, false, false, false);
+            drawGround();
+            gl.colorMask(true, true, true, true);
+            traverseGraph(sceneGraph, node => {
+                const obj = PRIMITIVE_OBJECTS[node.primitive];
+                if (nodeType(node) != "primitive" || !obj) return;
+                targets.push({ node });
+                program.setVec4("u_color", idToColor(targets.length));
+                uploadModelView();
+                obj.draw(gl, program.program, gl.TRIANGLES);
+            });
+            if (gizmo) {
+                const first = targets.length + 1;
+                gizmo.handles.forEach((parts, axis) => targets.push({ axis }));
+                drawGizmoHandles(axis => idToColor(first + axis));
+            }
+        });
+        const target = targets[id - 1];
+        if (!target) return null;
+        if (target.axis != null) return { node: gizmo.node, axis: target.axis, view: vp.index, viewport: vp };
+        return { node: target.node, axis: null, view: vp.index, viewport: vp };
+    }
+
+    // show the picked node in the HUD
+    function updatePickHUD() {
+        const el = document.getElementById("pickedValue");
+        if (el) el.textContent = picked ? picked.node.name : "-";
+    }
+
+    // render the entire scene
+    function render(time) {
+        window.requestAnimationFrame(render);
+        if (!sceneGraph) return;
+        const frameDt = lastTime == null ? 0 : (time - lastTime) / 1000;
+        lastTime = time;
+        orbit.enabled = view.current == FOURTH_VIEW && !view.multi && projectionParams(view).type == 'axonometric';
+        orbit.update(frameDt);
+        updateFrameStats(frameDt);
+        const pad = readGamepad(firstGamepad(navigator.getGamepads ? navigator.getGamepads() : []), gamepadButtons);
+        gamepadButtons = pad.buttons;
+        const touchPad = readGamepad(touch.element.hidden ? null : touch.pad, touchButtons, TOUCH_MAPPING);
+        touchButtons = touchPad.buttons;
+        const amounts = { ...pad.amounts };
+        for (let action in touchPad.amounts) amounts[action] = Math.max(amounts[action] || 0, touchPad.amounts[action]);
+        [...pad.pressed, ...touchPad.pressed].forEach(action => runAction(controls, action));
+        applyHeldActions(controls, input, frameDt, amounts);
+        loop.advance(frameDt);
+        gizmo = currentGizmo();
+        inspector.update();
+        updateTimeHUD();
+        // the tank is drawn between the last two steps, like the tomatoes
+        const restoreDrive = interpolateDrive(drive, loop.alpha);
+        updateTrajectory();
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        collectNodes();
+
+        const layout = viewportLayout();
+        for (let vp of layout) {
+            gl.viewport(vp.x, vp.y, vp.width, vp.height);
+            drawScene(vp.index, vp.width, vp.height);
         }
+        // the reticle is placed from the top-left corner
+        const gunner = layout.find(vp => vp.index == GUNNER_VIEW);
+        updateReticle(!!gunner, gunner ? gunner.x + gunner.width / 2 : 0,
+            gunner ? canvas.height - gunner.y - gunner.height / 2 : 0);
+        restoreDrive();
     }
 }
 
-const urls = ["shader.vert", "shader.frag"];
-loadShadersFromURLS(urls).then(shaders => setup(shaders))
+const urls = ["shader.vert", "shader.frag", "flat.frag"];
+loadShadersFromURLS(urls).then(shaders => setup(shaders)).catch(showErrorOverlay);
@@ -0,0 +1,251 @@
+/**
+ * collision.js
+ *
+ * Swept-sphere collision tests. A moving sphere is tested along the segment
+ * between two consecutive positions of its center, so nothing is missed
+ * however far it travels in one step.
+ * Results are { t, point, normal }: t in [0, 1] along the segment, point the
+ * contact point on the surface and normal the surface normal there.
+ *
+ * The ground can have a cylindrical hole in it: an opening in the plane, a
+ * vertical wall below its edge (the rim) and a flat bottom.
+ *
+ * Scene graph primitives are bounded by volumes built from their world
+ * matrices: oriented boxes for cubes, capped cylinders for cylinders and
+ * spheres for spheres.
+ */
+import { getWorldMatrix } from "./scene.js";
+
+export {
+    sweepSpherePlane, sweepSphereHole, sweepSphereVolume, sweepSphereVolumes,
+    boundingVolume, sceneColliders
+}
+
+// largest fraction of the sphere radius the sphere moves between two tests against a volume
+const SWEEP_FRACTION = 0.5;
+// primitives with a bounding volume
+const BOUNDED_PRIMITIVES = ["cube", "cylinder", "sphere"];
+// bisection steps locating a sampled contact between two samples
+const REFINE_STEPS = 30;
+
+/**
+ * Sphere moving from p0 to p1 against the horizontal plane y = height, from above.
+ * @param {number[]} p0 center at the start of the step
+ * @param {number[]} p1 center at the end of the step
+ * @param {number} radius sphere radius
+ * @param {number} height plane height
+ * @returns {object|null} the first contact, or null
+ */
+function sweepSpherePlane(p0, p1, radius, height = 0) {
+    const d0 = p0[1] - height - radius;     // distance to contact at the start
+    const d1 = p1[1] - height - radius;
+    if (d1 > 0 || d1 >= d0) return null;    // still above, or not moving down
+    const t = d0 <= 0 ? 0 : d0 / (d0 - d1); // already touching counts at once
+    const center = lerp(p0, p1, t);
+    return { t, point: [center[0], height, center[2]], normal: [0, 1, 0] };
+}
+
+/**
+ * Sphere moving from p0 to p1 against the ground plane y = height with a
+ * cylindrical hole in it. The segment is sampled like for the volumes and the
+ * contact is then located between the last two samples.
+ * @param {number[]} p0 center at the start of the step
+ * @param {number[]} p1 center at the end of the step
+ * @param {number} radius sphere radius
+ * @param {object} hole { center, radius, depth, height }: axis position (its y
+ *   is ignored), radius, depth of the bottom below the ground and ground height
+ * @returns {object|null} the first contact, or null; its part tells what was
+ *   touched: "ground" (outside the hole), "rim", "wall" or "bottom"
+ */
+function sweepSphereHole(p0, p1, radius, hole) {
+    // the sphere stays above the ground the whole step (the surface is nowhere higher)
+    if (Math.min(p0[1], p1[1]) - radius > hole.height) return null;
+    const sample = t => {
+        const center = lerp(p0, p1, t);
+        const { point, part } = holeSurfacePoint(hole, center);
+        const d = subtract(center, point);
+        return { t, point, part, d, distance: Math.hypot(...d) };
+    };
+    const motion = subtract(p1, p0);
+    const n = Math.max(1, Math.ceil(Math.hypot(...motion) / (radius * SWEEP_FRACTION)));
+    let contact = sample(0);
+    if (contact.distance <= radius) {
+        // already touching counts at once, when moving into the surface
+        if (dot(motion, contact.d) >= 0) return null;
+    } else {
+        let k = 1;
+        while (k <= n && (contact = sample(k / n)).distance > radius) k++;
+        if (k > n) return null;
+        let before = (k - 1) / n;
+        for (let i = 0; i < REFINE_STEPS; i++) {
+            const middle = sample((before + contact.t) / 2);
+            if (middle.distance <= radius) contact = middle;
+            else before = middle.t;
+        }
+    }
+    const normal = contact.distance > 0 ? contact.d.map(x => x / contact.distance) : normalized(subtract(p0, p1));
+    return { t: contact.t, point: contact.point, normal, part: contact.part };
+}
+
+// closest point to p of the ground with a hole in it, and the part it is on
+function holeSurfacePoint(hole, p) {
+    const { center, height } = hole;
+    const bottom = height - hole.depth;
+    const dx = p[0] - center[0];
+    const dz = p[2] - center[2];
+    const distance = Math.hypot(dx, dz);
+    // point at a distance r from the axis, on the side of p (any side on the axis)
+    const around = (r, y) => distance > 0 ?
+        [center[0] + dx / distance * r, y, center[2] + dz / distance * r] : [center[0] + r, y, center[2]];
+    const wallY = clamp(p[1], bottom, height);
+    const candidates = [
+        distance > hole.radius ? { point: [p[0], height, p[2]], part: "ground" } : { point: around(hole.radius, height), part: "rim" },
+        { point: around(hole.radius, wallY), part: wallY == height ? "rim" : "wall" },
+        { point: around(Math.min(distance, hole.radius), bottom), part: distance < hole.radius ? "bottom" : "wall" }
+    ];
+    let closest = null;
+    let closestDistance = Infinity;
+    for (let c of candidates) {
+        const d = Math.hypot(...subtract(p, c.point));
+        if (d < closestDistance) {
+            closest = c;
+            closestDistance = d;
+        }
+    }
+    return closest;
+}
+
+/**
+ * Bounding volume of a primitive node from its world matrix (unit primitives,
+ * centered at the origin). Scales are taken along the node's own axes, so
+ * shear (non-uniform scale under a rotation) is not represented.
+ * @param {object} node primitive node
+ * @returns {object|null} { name, shape, center, axes, halfSizes, radius } or null for other nodes
+ *   axes: unit x, y and z axes; halfSizes: half extents along them;
+ *   radius: radius of a sphere around the whole volume
+ */
+function boundingVolume(node) {
+    if (!BOUNDED_PRIMITIVES.includes(node.primitive)) return null;
+    if (node.type && node.type != "primitive") return null;
+    const M = getWorldMatrix(node);
+    const center = [M[0][3], M[1][3], M[2][3]];
+    const axes = [];
+    const halfSizes = [];
+    for (let j = 0; j < 3; j++) {
+        const axis = [M[0][j], M[1][j], M[2][j]];
+        const length = Math.hypot(...axis);
+        axes.push(length > 0 ? axis.map(x => x / length) : [j == 0 ? 1 : 0, j == 1 ? 1 : 0, j == 2 ? 1 : 0]);
+        halfSizes.push(length / 2);
+    }
+    return { name: node.name, shape: node.primitive, center, axes, halfSizes, radius: Math.hypot(...halfSizes) };
+}
+
+/**
+ * Bounding volumes of all the primitive nodes of a scene graph.
+ * @param {object} root
+ * @param {function(object): boolean} filter nodes to include (all by default)
+ */
+function sceneColliders(root, filter = () => true) {
+    const volumes = [];
+    (function visit(node) {
+        if (filter(node)) {
+            const volume = boundingVolume(node);
+            if (volume) volumes.push(volume);
+        }
+        if (node.children) node.children.forEach(visit);
+    })(root);
+    return volumes;
+}
+
+/**
+ * Sphere moving from p0 to p1 against a bounding volume. The segment is
+ * sampled often enough (SWEEP_FRACTION of the radius) that the sphere cannot
+ * jump over the volume.
+ * @returns {object|null} the first contact, or null
+ */
+function sweepSphereVolume(p0, p1, radius, volume) {
+    // quick rejection with the sphere around the volume
+    if (segmentDistance(p0, p1, volume.center) > volume.radius + radius) return null;
+    const length = Math.hypot(p1[0] - p0[0], p1[1] - p0[1], p1[2] - p0[2]);
+    const n = Math.max(1, Math.ceil(length / (radius * SWEEP_FRACTION)));
+    for (let k = 0; k <= n; k++) {
+        const t = k / n;
+        const center = lerp(p0, p1, t);
+        const point = closestPoint(volume, center);
+        const d = subtract(center, point);
+        const distance = Math.hypot(...d);
+        if (distance <= radius) {
+            // a center inside the volume has no meaningful normal: push back along the motion
+            const normal = distance > 0 ? d.map(x => x / distance) : normalized(subtract(p0, p1));
+            return { t, point, normal };
+        }
+    }
+    return null;
+}
+
+/**
+ * Earliest contact of a moving sphere with a list of volumes.
+ * @returns {object|null} the contact, with the volume that was hit, or null
+ */
+function sweepSphereVolumes(p0, p1, radius, volumes) {
+    let first = null;
+    for (let volume of volumes) {
+        const contact = sweepSphereVolume(p0, p1, radius, volume);
+        if (contact && (!first || contact.t < first.t)) first = { ...contact, volume };
+    }
+    return first;
+}
+
+// closest point of a volume to p
+function closestPoint(volume, p) {
+    const { center, axes, halfSizes } = volume;
+    const d = subtract(p, center);
+    // coordinates along the volume axes
+    const local = axes.map(axis => dot(d, axis));
+    let clamped;
+    if (volume.shape == "cube") {
+        clamped = local.map((x, i) => clamp(x, -halfSizes[i], halfSizes[i]));
+    } else if (volume.shape == "cylinder") {
+        // bounded by the larger radial half size
+        const r = Math.max(halfSizes[0], halfSizes[2]);
+        const radial = Math.hypot(local[0], local[2]);
+        const k = radial > r ? r / radial : 1;
+        clamped = [local[0] * k, clamp(local[1], -halfSizes[1], halfSizes[1]), local[2] * k];
+    } else {
+        // bounded by the largest half size
+        const r = Math.max(...halfSizes);
+        const distance = Math.hypot(...local);
+        const k = distance > r ? r / distance : 1;
+        clamped = local.map(x => x * k);
+    }
+    return center.map((c, i) => c + axes[0][i] * clamped[0] + axes[1][i] * clamped[1] + axes[2][i] * clamped[2]);
+}
+
+// distance from p to the segment a-b
+function segmentDistance(a, b, p) {
+    const ab = subtract(b, a);
+    const lengthSq = dot(ab, ab);
+    const t = lengthSq > 0 ? clamp(dot(subtract(p, a), ab) / lengthSq, 0, 1) : 0;
+    return Math.hypot(...subtract(p, lerp(a, b, t)));
+}
+
+function clamp(x, min, max) {
+    return Math.min(Math.max(x, min), max);
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function subtract(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function normalized(v) {
+    const length = Math.hypot(...v);
+    return length > 0 ? v.map(x => x / length) : [0, 1, 0];
+}
+
+function lerp(a, b, t) {
+    return a.map((x, i) => x + (b[i] - x) * t);
+}
@@ -0,0 +1,265 @@
+/**
+ * controls.js
+ *
+ * Keyboard actions. Every action is a named entry of ACTIONS acting on a context
+ *   { view, orbit, nodesByName, game, loop, drive }
+ * where view is the state made by createViewState(), orbit an orbit controller
+ * (libs/orbit.js), nodesByName the scene index, game a game (libs/game.js),
+ * loop the simulation loop (libs/timestep.js) and drive the tank drive
+ * (libs/tank.js). Keys are bound to actions by an input manager
+ * (libs/input.js), starting from DEFAULT_BINDINGS.
+ *
+ * "press" actions run once when one of their keys goes down; "hold" actions
+ * run every frame while one of their keys is held, at a rate per second; the
+ * tank ones only set the drive commands, which the simulation applies (so
+ * they follow pause and slow motion).
+ * Other devices (libs/gamepad.js) run the same actions: hold actions then
+ * receive an amount in [0, 1] scaling their rate (a held key counts as 1).
+ * Actions only change that state; the document is never touched.
+ */
+import { getCannonPose } from "./tank.js";
+import { GIZMO_MODES } from "./gizmo.js";
+
+export {
+    FOURTH_VIEW, GUNNER_VIEW, OBLIQUE_DEFAULT, SLOW_MOTION_SCALES, RATES,
+    ACTIONS, DEFAULT_BINDINGS, createViewState, projectionParams,
+    adjustProjection, runAction, handleKey, handleKeyUp, applyHeldActions
+}
+
+// views: 0 front, 1 left, 2 top, 3 fourth (axonometric or oblique), 4 gunner
+const FOURTH_VIEW = 3;
+const GUNNER_VIEW = 4;
+
+// parameters for projections
+const OBLIQUE_DEFAULT = { alpha: 45, lambda: 0.5 };
+const OBLIQUE_L_MIN = 0.1;
+const OBLIQUE_L_MAX = 1.0;
+
+// hold action rates of the views (per real second); the tank's are in DRIVE (libs/tank.js)
+const RATES = {
+    axonometric: 90,    // degrees of orbit
+    alpha: 90,          // degrees of the oblique angle
+    lambda: 1           // oblique foreshortening
+};
+
+// simulation speeds cycled by the slow motion key
+const SLOW_MOTION_SCALES = [1, 0.5, 0.25, 0.1];
+
+// view and projection state
+function createViewState() {
+    return {
+        current: 0,             // view shown in single view mode
+        multi: false,           // four views at once
+        perspective: false,
+        wireframe: false,
+        trajectory: false,      // show the predicted flight of a tomato
+        help: true,             // show the key help panel
+        inspector: true,        // show the scene inspector
+        gizmo: null,            // gizmo on the selected node: null or one of GIZMO_MODES
+        projection: 0,          // index in types (fourth view)
+        types: [
+            {type: 'axonometric'},  // angles are kept by the orbit controller
+            {type: 'oblique', alpha: OBLIQUE_DEFAULT.alpha, l: OBLIQUE_DEFAULT.lambda}
+        ]
+    };
+}
+
+// projection parameters of the fourth view
+function projectionParams(view) {
+    return view.types[view.projection];
+}
+
+function selectView(ctx, index) {
+    ctx.view.perspective = false;
+    ctx.view.current = index;
+}
+
+// arrows rotate the axonometric camera or change the oblique parameters (fourth view only);
+// h and v are the horizontal and vertical amounts (seconds held, signed)
+function adjustProjection(ctx, h, v) {
+    if (ctx.view.current != FOURTH_VIEW) return;
+    const params = projectionParams(ctx.view);
+    if (params.type == "axonometric") {
+        ctx.orbit.rotate(h * RATES.axonometric, v * RATES.axonometric);
+    } else {
+        params.alpha += h * RATES.alpha;
+        params.l = Math.min(Math.max(params.l + v * RATES.lambda, OBLIQUE_L_MIN), OBLIQUE_L_MAX);
+    }
+}
+
+// next slow motion speed
+function cycleTimeScale(loop) {
+    const i = SLOW_MOTION_SCALES.indexOf(loop.timeScale);
+    loop.timeScale = SLOW_MOTION_SCALES[(i + 1) % SLOW_MOTION_SCALES.length];
+}
+
+// actions by name: { group, label, press(ctx) } or { group, label, hold(ctx, dt, amount) };
+// group and label describe the action in the help panel (in this order)
+const ACTIONS = {
+    frontView: { group: "Views", label: "Front view", press: ctx => selectView(ctx, 0) },
+    leftView: { group: "Views", label: "Left view", press: ctx => selectView(ctx, 1) },
+    topView: { group: "Views", label: "Top view", press: ctx => selectView(ctx, 2) },
+    fourthView: { group: "Views", label: "4th view", press: ctx => selectView(ctx, FOURTH_VIEW) },
+    gunnerView: { group: "Views", label: "Gunner view", press: ctx => selectView(ctx, GUNNER_VIEW) },
+    nextView: { group: "Views", label: "Next view", press: ctx => selectView(ctx, (ctx.view.current + 1) % (GUNNER_VIEW + 1)) },
+    toggleMultiView: {
+        group: "Views", label: "Toggle 1/4 views",
+        press: ctx => {
+            ctx.view.perspective = false;
+            ctx.view.multi = !ctx.view.multi;
+        }
+    },
+    toggleProjection: {
+        // axonometric <-> oblique (view 4)
+        group: "4th view", label: "Oblique / axonometric",
+        press: ctx => {
+            const view = ctx.view;
+            if (view.current == FOURTH_VIEW && !view.perspective) {
+                view.projection = (view.projection + 1) % view.types.length;
+            }
+        }
+    },
+    togglePerspective: {
+        // perspective <-> orthographic (view 4)
+        group: "4th view", label: "Parallel / perspective",
+        press: ctx => {
+            if (projectionParams(ctx.view).type != "oblique") ctx.view.perspective = !ctx.view.perspective;
+        }
+    },
+    resetView: {
+        group: "4th view", label: "Reset view params",
+        press: ctx => {
+            const params = projectionParams(ctx.view);
+            if (params.type == "axonometric") {
+                ctx.orbit.reset();
+            } else {
+                params.alpha = OBLIQUE_DEFAULT.alpha;
+                params.l = OBLIQUE_DEFAULT.lambda;
+            }
+        }
+    },
+    viewLeft: { group: "4th view", label: "Theta + (oblique: alpha +)", hold: (ctx, dt, k) => adjustProjection(ctx, k * dt, 0) },
+    viewRight: { group: "4th view", label: "Theta \u2212 (oblique: alpha \u2212)", hold: (ctx, dt, k) => adjustProjection(ctx, -k * dt, 0) },
+    viewUp: { group: "4th view", label: "Gamma + (oblique: lambda +)", hold: (ctx, dt, k) => adjustProjection(ctx, 0, k * dt) },
+    viewDown: { group: "4th view", label: "Gamma \u2212 (oblique: lambda \u2212)", hold: (ctx, dt, k) => adjustProjection(ctx, 0, -k * dt) },
+    toggleWireframe: {
+        group: "Display", label: "Wireframe / solid",
+        press: ctx => { ctx.view.wireframe = !ctx.view.wireframe; }
+    },
+    toggleTrajectory: {
+        group: "Display", label: "Trajectory preview",
+        press: ctx => { ctx.view.trajectory = !ctx.view.trajectory; }
+    },
+    toggleHelp: { group: "Display", label: "Toggle this panel", press: ctx => { ctx.view.help = !ctx.view.help; } },
+    toggleInspector: { group: "Display", label: "Toggle the inspector", press: ctx => { ctx.view.inspector = !ctx.view.inspector; } },
+    gizmoMode: {
+        // off -> translate -> rotate -> scale -> off
+        group: "Display", label: "Gizmo: move / rotate / scale",
+        press: ctx => {
+            const modes = [null, ...GIZMO_MODES];
+            ctx.view.gizmo = modes[(modes.indexOf(ctx.view.gizmo) + 1) % modes.length];
+        }
+    },
+    // the drive and turret commands add up, so opposite keys cancel out
+    driveForward: { group: "Tank", label: "Drive forward", hold: (ctx, dt, k) => { ctx.drive.throttle += k; } },
+    driveBackward: { group: "Tank", label: "Drive backward", hold: (ctx, dt, k) => { ctx.drive.throttle -= k; } },
+    turnLeft: { group: "Tank", label: "Turn hull left", hold: (ctx, dt, k) => { ctx.drive.steering += k; } },
+    turnRight: { group: "Tank", label: "Turn hull right", hold: (ctx, dt, k) => { ctx.drive.steering -= k; } },
+    cabinLeft: { group: "Tank", label: "Rotate cabin ccw", hold: (ctx, dt, k) => { ctx.drive.cabin += k; } },
+    cabinRight: { group: "Tank", label: "Rotate cabin cw", hold: (ctx, dt, k) => { ctx.drive.cabin -= k; } },
+    cannonUp: { group: "Tank", label: "Raise cannon", hold: (ctx, dt, k) => { ctx.drive.pitch += k; } },
+    cannonDown: { group: "Tank", label: "Lower cannon", hold: (ctx, dt, k) => { ctx.drive.pitch -= k; } },
+    fire: { group: "Game", label: "Fire tomato", press: ctx => ctx.game.fire(getCannonPose(ctx.nodesByName)) },
+    resetScore: { group: "Game", label: "Reset score", press: ctx => ctx.game.resetScore() },
+    resetBestScore: { group: "Game", label: "Reset best score", press: ctx => ctx.game.resetBestScore() },
+    pause: { group: "Simulation", label: "Pause", press: ctx => ctx.loop.togglePause() },
+    step: {
+        // single step (while paused)
+        group: "Simulation", label: "Step (paused)",
+        press: ctx => {
+            if (ctx.loop.paused) ctx.loop.stepOnce();
+        }
+    },
+    slowMotion: { group: "Simulation", label: "Slow motion", press: ctx => cycleTimeScale(ctx.loop) }
+};
+
+// keys (KeyboardEvent.key) of each action
+const DEFAULT_BINDINGS = {
+    frontView: ['1'],
+    leftView: ['2'],
+    topView: ['3'],
+    fourthView: ['4'],
+    gunnerView: ['5'],
+    nextView: ['v'],
+    toggleMultiView: ['0'],
+    toggleProjection: ['8'],
+    togglePerspective: ['9'],
+    resetView: ['r'],
+    viewLeft: ['ArrowLeft'],
+    viewRight: ['ArrowRight'],
+    viewUp: ['ArrowUp'],
+    viewDown: ['ArrowDown'],
+    toggleWireframe: [' '],
+    toggleTrajectory: ['t'],
+    toggleHelp: ['h'],
+    toggleInspector: ['i'],
+    gizmoMode: ['g'],
+    driveForward: ['q'],
+    driveBackward: ['e'],
+    turnLeft: ['j'],
+    turnRight: ['l'],
+    cabinLeft: ['a'],
+    cabinRight: ['d'],
+    cannonUp: ['w'],
+    cannonDown: ['s'],
+    fire: ['z'],
+    resetScore: ['x'],
+    resetBestScore: ['b'],
+    pause: ['p'],
+    step: ['n'],
+    slowMotion: ['m']
+};
+
+/**
+ * A key went down: runs its press action (once, key repeats are ignored).
+ * @param {object} ctx { view, orbit, nodesByName, game, loop, drive }
+ * @param {object} input input manager (libs/input.js)
+ * @param {string} key KeyboardEvent.key
+ * @returns {string|null} the action of the key
+ */
+function handleKey(ctx, input, key) {
+    const action = input.keyDown(key);
+    if (action) runAction(ctx, action);
+    return action;
+}
+
+// run a press action by name (hold actions and unknown names are ignored)
+function runAction(ctx, name) {
+    const action = ACTIONS[name];
+    if (action && action.press) action.press(ctx);
+}
+
+// a key went up
+function handleKeyUp(ctx, input, key) {
+    input.keyUp(key);
+}
+
+/**
+ * Runs the hold actions whose keys are held, or with an amount from another
+ * device, for dt seconds. The drive commands are rebuilt every time.
+ * @param {object} amounts { action: amount in [0, 1] } (e.g. from a gamepad)
+ */
+function applyHeldActions(ctx, input, dt, amounts = {}) {
+    if (ctx.drive) {
+        ctx.drive.throttle = 0;
+        ctx.drive.steering = 0;
+        ctx.drive.cabin = 0;
+        ctx.drive.pitch = 0;
+    }
+    for (let name in ACTIONS) {
+        const action = ACTIONS[name];
+        if (!action.hold) continue;
+        const amount = input.isActive(name) ? 1 : Math.min(amounts[name] || 0, 1);
+        if (amount > 0) action.hold(ctx, dt, amount);
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * effects.js
+ *
+ * Tomato impact effects: splat decals left where tomatoes land (on the ground,
+ * or on the scene node they hit) and bursts of particles thrown from the
+ * impact point. Both fade out and are capped in
+ * number (the oldest ones go first). Like game.js, nothing here draws: the
+ * application renders the splats and particles lists.
+ */
+import { TOMATO_GRAVITY } from "./game.js";
+
+export {
+    createEffects, fade
+}
+
+const DEFAULTS = {
+    maxSplats: 32,
+    maxParticles: 240,
+    particlesPerImpact: 16,
+    splatRadius: 0.18,          // average splat radius (each one varies by ±25%)
+    splatLifetime: 8,           // seconds
+    particleSpeed: 1.5,         // average speed of the particles leaving the impact
+    particleLifetime: 1.2,
+    gravity: TOMATO_GRAVITY,
+    groundY: 0,                 // particles rest on the ground
+    // (node name, world point) => the point in the node's frame, or null; lets the
+    // splats of collisions move with the node (without it, only the ground gets splats)
+    anchor: null,
+    random: Math.random
+};
+
+/**
+ * Creates an empty set of effects.
+ * @param {object} options overrides for DEFAULTS
+ */
+function createEffects(options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+    const random = opts.random;
+
+    const effects = {
+        splats: [],         // { pos, node, local, radius, age, lifetime } (node and local: see anchor)
+        particles: [],      // { pos, prev, vel, floor, age, lifetime }
+        impact, update, clear
+    };
+
+    /**
+     * Adds the effects of a game event (see game.update): a burst of particles,
+     * plus a splat when the tomato landed on the ground or on a scene node.
+     */
+    function impact(event) {
+        if (!event.point) return;
+        if (event.type == "miss") {
+            addSplat(event.point);
+        } else if (event.type == "collision" && opts.anchor) {
+            const local = opts.anchor(event.node, event.point);
+            if (local) addSplat(event.point, event.node, local);
+        }
+        burst(event.point, event.normal || [0, 1, 0]);
+    }
+
+    function addSplat(point, node = null, local = null) {
+        effects.splats.push({
+            pos: [...point],
+            node,
+            local,
+            radius: opts.splatRadius * (0.75 + 0.5 * random()),
+            age: 0,
+            lifetime: opts.splatLifetime
+        });
+        cap(effects.splats, opts.maxSplats);
+    }
+
+    // particles leave the point around the surface normal
+    function burst(point, normal) {
+        for (let i = 0; i < opts.particlesPerImpact; i++) {
+            const dir = normalize([
+                normal[0] + 2 * random() - 1,
+                normal[1] + 2 * random() - 1,
+                normal[2] + 2 * random() - 1
+            ], normal);
+            const speed = opts.particleSpeed * (0.5 + random());
+            effects.particles.push({
+                pos: [...point],
+                prev: [...point],
+                vel: dir.map(x => x * speed),
+            floor: Math.min(opts.groundY, point[1]),    // a burst in the hole rests in it
+                age: 0,
+                lifetime: opts.particleLifetime * (0.5 + random())
+            });
+        }
+        cap(effects.particles, opts.maxParticles);
+    }
+
+    // age everything by dt seconds and move the particles
+    function update(dt) {
+        for (let s of effects.splats) s.age += dt;
+        for (let p of effects.particles) {
+            p.age += dt;
+            p.prev = [...p.pos];
+            p.vel[1] += opts.gravity * dt;
+            for (let i = 0; i < 3; i++) p.pos[i] += p.vel[i] * dt;
+            if (p.pos[1] < p.floor) {
+                p.pos[1] = p.floor;
+                p.vel = [0, 0, 0];
+            }
+        }
+        effects.splats = effects.splats.filter(s => s.age < s.lifetime);
+        effects.particles = effects.particles.filter(p => p.age < p.lifetime);
+    }
+
+    function clear() {
+        effects.splats = [];
+        effects.particles = [];
+    }
+
+    return effects;
+}
+
+/**
+ * Opacity of a splat or particle: 1 when created, down to 0 at the end of its life.
+ */
+function fade(effect) {
+    return Math.max(0, 1 - effect.age / effect.lifetime);
+}
+
+// drop the oldest entries beyond max
+function cap(list, max) {
+    if (list.length > max) list.splice(0, list.length - max);
+}
+
+function normalize(v, fallback) {
+    const length = Math.hypot(...v);
+    return length > 0 ? v.map(x => x / length) : fallback;
+}
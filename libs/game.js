@@ -0,0 +1,286 @@
+/**
+ * game.js
+ *
+ * Tomato shooting game: flying tomatoes, the target hole and the score.
+ * Nothing here touches WebGL or the document, so the game also runs under Node;
+ * the best score is kept in a Storage object (localStorage in the browser).
+ */
+import { sweepSpherePlane, sweepSphereHole, sweepSphereVolumes } from "./collision.js";
+
+export {
+    TOMATO_SPEED, TOMATO_GRAVITY, TOMATO_RADIUS,
+    HOLE_RADIUS_ORIG, HOLE_RADIUS_MIN, HOLE_RADIUS_STEP, HOLE_DEPTH, FIELD_HALF_SIZE, GROUND_Y,
+    BASE_POINTS, STREAK_BONUS, BEST_SCORE_KEY,
+    createGame, createMemoryStorage, createSeededRandom, scoreForHit, nextHoleSize, tomatoPosition,
+    predictTrajectory
+}
+
+// tomato parameters
+const TOMATO_SPEED = 5.0;
+const TOMATO_GRAVITY = -5.0;
+const TOMATO_RADIUS = 0.08;       // matches tomato scale
+const TOMATO_MUZZLE_OFFSET = 0.1; // tomatoes appear just in front of the cannon tip
+
+// hole parameters
+const HOLE_RADIUS_ORIG = 0.8;     // original size
+const HOLE_RADIUS_MIN = TOMATO_RADIUS;
+const HOLE_RADIUS_STEP = 0.06;    // how much the hole changes per hit
+const HOLE_DEPTH = 0.4;           // from the ground down to the bottom of the hole
+
+// playing field: tomatoes leaving [-FIELD_HALF_SIZE, FIELD_HALF_SIZE] on x or z are lost
+const FIELD_HALF_SIZE = 5;
+const GROUND_Y = 0;               // top of the ground tiles, where the hole opens
+
+// scoring
+const BASE_POINTS = 10;           // points when hole is at original size
+const STREAK_BONUS = 0.25;        // +25% per consecutive hit
+const BEST_SCORE_KEY = "bestScore";
+
+/**
+ * Points for a hit: smaller holes and longer streaks give more points.
+ * @param {number} holeRadius radius of the hole when it was hit
+ * @param {number} streak consecutive hits before this one
+ */
+function scoreForHit(holeRadius, streak) {
+    const tightness = (HOLE_RADIUS_ORIG / Math.max(HOLE_RADIUS_MIN, holeRadius));
+    const scaled = BASE_POINTS * (0.5 + 0.5 * tightness);
+    const streakMult = 1 + STREAK_BONUS * streak;
+    return Math.round(scaled * streakMult);
+}
+
+/**
+ * Hole size after a hit: it shrinks down to HOLE_RADIUS_MIN, then grows back
+ * to HOLE_RADIUS_ORIG, and so on.
+ * @param {number} radius current radius
+ * @param {boolean} shrinking current direction
+ * @returns {{radius: number, shrinking: boolean}}
+ */
+function nextHoleSize(radius, shrinking) {
+    if (shrinking) {
+        radius = Math.max(HOLE_RADIUS_MIN, radius - HOLE_RADIUS_STEP);
+        if (radius <= HOLE_RADIUS_MIN + 1e-6) shrinking = false;  // start growing on next hits
+    } else {
+        radius = Math.min(HOLE_RADIUS_ORIG, radius + HOLE_RADIUS_STEP);
+        if (radius >= HOLE_RADIUS_ORIG - 1e-6) shrinking = true;  // full size, next hits shrink again
+    }
+    return { radius, shrinking };
+}
+
+/**
+ * In-memory replacement for localStorage (Node, or browsers blocking storage).
+ * @param {object} items initial contents
+ */
+function createMemoryStorage(items = {}) {
+    const data = new Map(Object.entries(items).map(([k, v]) => [k, String(v)]));
+    return {
+        getItem: key => data.has(key) ? data.get(key) : null,
+        setItem: (key, value) => { data.set(key, String(value)); },
+        removeItem: key => { data.delete(key); },
+        clear: () => data.clear()
+    };
+}
+
+/**
+ * Seeded random number generator in [0, 1) (mulberry32), for reproducible games.
+ * @param {number} seed 32-bit integer
+ */
+function createSeededRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Position of a tomato between the last two updates, for rendering.
+ * @param {object} tomato
+ * @param {number} alpha 0 for the previous position, 1 for the current one
+ */
+function tomatoPosition(tomato, alpha) {
+    const prev = tomato.prev || tomato.pos;
+    return prev.map((x, i) => x + (tomato.pos[i] - x) * alpha);
+}
+
+// new tomato leaving a cannon pose { tip, dir } (dir normalized)
+function launchTomato(pose) {
+    const pos = pose.tip.map((x, i) => x + pose.dir[i] * TOMATO_MUZZLE_OFFSET);
+    return {
+        pos,
+        prev: [...pos],     // position before the last update
+        vel: pose.dir.map(x => x * TOMATO_SPEED)
+    };
+}
+
+// contact of a tomato with the ground and the hole during its last move, or null;
+// inHole is set when it went in: a tomato only touches the rim with its center
+// over the opening, so it falls in from there too
+function holeContact(t, hole) {
+    const shape = { center: hole.pos, radius: hole.radius, depth: HOLE_DEPTH, height: GROUND_Y };
+    const contact = sweepSphereHole(t.prev, t.pos, TOMATO_RADIUS, shape);
+    return contact && { ...contact, inHole: contact.part != "ground" };
+}
+
+// advance a tomato by dt seconds; swept tests over the whole step, so fast
+// tomatoes cannot skip the ground. A tomato touching something stops there.
+// Returns the first contact (with inHole or volume set for the hole and the
+// scene nodes), or null.
+function moveTomato(t, dt, hole, volumes) {
+    t.prev = [...t.pos];
+    t.vel[1] += TOMATO_GRAVITY * dt;
+    t.pos[0] += t.vel[0] * dt;
+    t.pos[1] += t.vel[1] * dt;
+    t.pos[2] += t.vel[2] * dt;
+    let contact = hole ? holeContact(t, hole) : sweepSpherePlane(t.prev, t.pos, TOMATO_RADIUS, GROUND_Y);
+    const collision = sweepSphereVolumes(t.prev, t.pos, TOMATO_RADIUS, volumes);
+    if (collision && (!contact || collision.t < contact.t)) contact = collision;
+    if (contact) t.pos = t.prev.map((x, i) => x + (t.pos[i] - x) * contact.t);
+    return contact;
+}
+
+function isOutOfField(pos) {
+    return Math.abs(pos[0]) > FIELD_HALF_SIZE || Math.abs(pos[2]) > FIELD_HALF_SIZE;
+}
+
+/**
+ * Flight of a tomato fired from a cannon pose, stepped exactly like the game does.
+ * @param {{tip: number[], dir: number[]}} pose
+ * @param {object} options
+ *   step:     time step (seconds, the one given to game.update)
+ *   maxTime:  longest flight predicted (seconds)
+ *   volumes:  bounding volumes the tomato may hit (libs/collision.js)
+ * @returns {{points: number[][], impact: object|null}} the tomato positions, one per
+ *   step, and where it lands ({ point, normal } plus volume for a scene node),
+ *   null if it leaves the field first
+ */
+function predictTrajectory(pose, options = {}) {
+    const step = options.step || 0.005;
+    const maxTime = options.maxTime || 10;
+    const volumes = options.volumes || [];
+    const t = launchTomato(pose);
+    const points = [[...t.pos]];
+    for (let time = 0; time < maxTime; time += step) {
+        const contact = moveTomato(t, step, null, volumes);
+        points.push([...t.pos]);
+        if (contact) return { points, impact: contact };
+        if (isOutOfField(t.pos)) break;
+    }
+    return { points, impact: null };
+}
+
+/**
+ * Creates a game.
+ * @param {object} options
+ *   storage:  where the best score is kept (defaults to localStorage, or memory without one)
+ *   random:   random number generator in [0, 1) used to place the hole (defaults to Math.random)
+ *   onChange: called after the score, best score or streak change
+ *   onEvent:  called with every event returned by update()
+ *   colliders: returns the bounding volumes tomatoes collide with (libs/collision.js)
+ * @returns {object} the game state together with the functions acting on it
+ */
+function createGame(options = {}) {
+    const storage = options.storage || globalThis.localStorage || createMemoryStorage();
+    const random = options.random || Math.random;
+    const onChange = options.onChange || (() => {});
+    const onEvent = options.onEvent || (() => {});
+    const colliders = options.colliders || (() => []);
+
+    const game = {
+        score: 0,
+        bestScore: Number(storage.getItem(BEST_SCORE_KEY) || 0),
+        streak: 0,                  // consecutive hits
+        hole: {
+            pos: null,              // [x, y, z], center of the opening (on the ground)
+            radius: HOLE_RADIUS_ORIG,
+            shrinking: true         // direction: shrink until min, then grow back
+        },
+        tomatoes: [],               // active tomatoes { pos, prev, vel }
+        fire, update, commitScore, resetScore, resetBestScore, relocateHole
+    };
+    relocateHole();
+
+    // fire a tomato from a cannon pose { tip, dir } (dir normalized)
+    function fire(pose) {
+        if (!pose) return null;
+        const tomato = launchTomato(pose);
+        game.tomatoes.push(tomato);
+        return tomato;
+    }
+
+    // advance the tomatoes by dt seconds, scoring the ones falling in the hole;
+    // returns what happened, as a list of
+    //   { type: "hit", tomato, points, point }     fell in the hole
+    //   { type: "miss", tomato, point }            hit the ground (point) or left the field (point null)
+    //   { type: "collision", tomato, node, point, normal }   hit the scene node named node
+    // a collision also ends the streak
+    function update(dt) {
+        const events = [];
+        const hole = game.hole;
+        const volumes = game.tomatoes.length ? colliders() : [];
+        for (let t of game.tomatoes) {
+            const contact = moveTomato(t, dt, hole, volumes);
+            if (contact && contact.volume) {
+                t._remove = true;
+                game.streak = 0;
+                onChange(game);
+                events.push({
+                    type: "collision", tomato: t,
+                    node: contact.volume.name, point: contact.point, normal: contact.normal
+                });
+            } else if (contact && contact.inHole) {
+                t._remove = true;
+                const points = scoreForHit(hole.radius, game.streak);
+                commitScore(points);
+                Object.assign(hole, nextHoleSize(hole.radius, hole.shrinking));
+                relocateHole();
+                events.push({ type: "hit", tomato: t, points, point: contact.point });
+            } else if (contact || isOutOfField(t.pos)) {
+                // missed tomato: reset streak
+                t._remove = true;
+                game.streak = 0;
+                onChange(game);
+                events.push({ type: "miss", tomato: t, point: contact ? contact.point : null });
+            }
+        }
+        game.tomatoes = game.tomatoes.filter(t => !t._remove);
+        events.forEach(onEvent);
+        return events;
+    }
+
+    // add the points of a hit, extending the streak and saving a new best score
+    function commitScore(points) {
+        game.score += points;
+        game.streak += 1;
+        if (game.score > game.bestScore) {
+            game.bestScore = game.score;
+            storage.setItem(BEST_SCORE_KEY, String(game.bestScore));
+        }
+        onChange(game);
+    }
+
+    // reset score and streak
+    function resetScore() {
+        game.score = 0;
+        game.streak = 0;
+        onChange(game);
+    }
+
+    // forget the best score
+    function resetBestScore() {
+        game.bestScore = 0;
+        storage.setItem(BEST_SCORE_KEY, "0");
+        onChange(game);
+    }
+
+    // move the hole to a random position inside the field
+    function relocateHole() {
+        const rx = (random() * 2 - 1) * FIELD_HALF_SIZE;
+        const rz = (random() * 2 - 1) * FIELD_HALF_SIZE;
+        game.hole.pos = [rx, GROUND_Y, rz];
+    }
+
+    return game;
+}
@@ -0,0 +1,84 @@
+/**
+ * gamepad.js
+ *
+ * Gamepad mapping onto the keyboard actions (libs/controls.js). Sticks give
+ * amounts for hold actions and buttons trigger press actions. The mapping
+ * only reads plain objects shaped like the Gamepad API ones
+ * ({ axes: [...], buttons: [{ pressed, value }, ...] }), so a simulated pad
+ * works as well as navigator.getGamepads().
+ */
+export {
+    DEFAULT_GAMEPAD_MAPPING, DEAD_ZONE, readGamepad, firstGamepad
+}
+
+// stick deflections below this are ignored (sticks rarely rest at exactly 0)
+const DEAD_ZONE = 0.15;
+// analog buttons (triggers) count as pressed above this
+const BUTTON_THRESHOLD = 0.5;
+
+// "standard" layout: axes 0/1 left stick x/y, 2/3 right stick x/y (y grows downwards);
+// buttons 7 right trigger, 6 left trigger, 9 start, 8 back/select
+const DEFAULT_GAMEPAD_MAPPING = {
+    axes: [
+        { axis: 1, negative: "driveForward", positive: "driveBackward" },
+        { axis: 0, negative: "turnLeft", positive: "turnRight" },
+        { axis: 2, negative: "cabinLeft", positive: "cabinRight" },
+        { axis: 3, negative: "cannonUp", positive: "cannonDown" }
+    ],
+    buttons: [
+        { button: 7, action: "fire" },
+        { button: 6, action: "toggleTrajectory" },
+        { button: 9, action: "pause" },
+        { button: 8, action: "gunnerView" }
+    ]
+};
+
+// deflection with the dead zone removed, rescaled to [0, 1]
+function deflection(value) {
+    const v = Math.abs(value || 0);
+    return v <= DEAD_ZONE ? 0 : Math.min((v - DEAD_ZONE) / (1 - DEAD_ZONE), 1);
+}
+
+function isPressed(button) {
+    if (!button) return false;
+    if (typeof button == "number") return button > BUTTON_THRESHOLD;
+    return button.pressed || button.value > BUTTON_THRESHOLD;
+}
+
+/**
+ * Reads a gamepad through a mapping.
+ * @param {object} pad gamepad (or null when none is connected)
+ * @param {boolean[]} previous button states returned by the last call
+ * @param {object} mapping { axes: [{ axis, negative, positive }], buttons: [{ button, action }] }
+ * @returns {{amounts: object, pressed: string[], buttons: boolean[]}}
+ *   amounts of the hold actions, press actions of the buttons that just went
+ *   down, and the button states to give back next time
+ */
+function readGamepad(pad, previous = [], mapping = DEFAULT_GAMEPAD_MAPPING) {
+    const amounts = {};
+    const pressed = [];
+    if (!pad) return { amounts, pressed, buttons: [] };
+    for (let { axis, negative, positive } of mapping.axes) {
+        const value = pad.axes[axis] || 0;
+        const amount = deflection(value);
+        if (amount > 0) {
+            const action = value < 0 ? negative : positive;
+            amounts[action] = Math.max(amounts[action] || 0, amount);
+        }
+    }
+    const buttons = pad.buttons.map(isPressed);
+    for (let { button, action } of mapping.buttons) {
+        if (buttons[button] && !previous[button]) pressed.push(action);
+    }
+    return { amounts, pressed, buttons };
+}
+
+/**
+ * First connected gamepad from a navigator.getGamepads() list, or null.
+ */
+function firstGamepad(pads) {
+    for (let pad of pads || []) {
+        if (pad && pad.connected) return pad;
+    }
+    return null;
+}
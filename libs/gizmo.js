@@ -0,0 +1,250 @@
+/**
+ * gizmo.js
+ *
+ * Translate / rotate / scale gizmos for a scene node: where their handles go,
+ * and how dragging a handle with the mouse changes the node.
+ *
+ * Dragging works in the node's parent space, where its translation, rotation
+ * and scale live: the parent's world matrix, with the parent's scale cancelled
+ * when the node does not inherit it (inheritScale == false), as drawByGraph
+ * does. The handles of each mode follow the fields they edit:
+ *   translate  the parent's axes (translation[i] moves along axis i)
+ *   rotate     the axis each Euler angle turns about (T * Rz * Ry * Rx):
+ *              z is the parent's, y is turned by z and x by z and y
+ *   scale      the node's own axes
+ * Nothing here draws: handles are lists of primitives with world matrices.
+ */
+import { mult, vec4, mat4, add, subtract, scale, dot, cross, length, inverse, rotateY, rotateZ, scalem } from "./MV.js";
+import { getWorldMatrix, localMatrix } from "./scene.js";
+
+export {
+    GIZMO_MODES, GIZMO_SIZE, MIN_SCALE, parentFrame, gizmoFrame, gizmoHandles, unprojectRay,
+    startDrag, dragTo
+}
+
+const GIZMO_MODES = ["translate", "rotate", "scale"];
+// handle length, rotation ring radius and handle thickness (world units)
+const GIZMO_SIZE = 0.6;
+const HANDLE_WIDTH = 0.025;
+const TIP_SIZE = 0.08;
+// cylinders making up a rotation ring
+const RING_SEGMENTS = 32;
+// smallest scale a drag can give (the scale must stay invertible)
+const MIN_SCALE = 0.01;
+// rays closer than this (cosine) to a drag line or plane are ignored
+const PARALLEL_EPSILON = 1e-3;
+
+/**
+ * Matrix from the node's parent space (where its fields are defined) to world space.
+ */
+function parentFrame(node) {
+    const parent = node.parent;
+    if (!parent) return mat4();
+    const m = getWorldMatrix(parent);
+    if (node.inheritScale == false && parent.scale) {
+        return mult(m, scalem(1 / parent.scale[0], 1 / parent.scale[1], 1 / parent.scale[2]));
+    }
+    return m;
+}
+
+// direction of handle i in parent space (unit length)
+function localAxis(node, mode, i) {
+    const e = [vec4(1, 0, 0, 0), vec4(0, 1, 0, 0), vec4(0, 0, 1, 0)][i];
+    if (mode == "translate") return e.slice(0, 3);
+    let m;
+    if (mode == "scale") {
+        // the rotation part of the node's own transform
+        const local = localMatrix(node);
+        m = mult(local, scalem(1 / node.scale[0], 1 / node.scale[1], 1 / node.scale[2]));
+    } else {
+        m = i == 2 ? mat4() : i == 1 ? rotateZ(node.rotation[2]) : mult(rotateZ(node.rotation[2]), rotateY(node.rotation[1]));
+    }
+    const v = mult(m, e);
+    return unit(v.slice(0, 3));
+}
+
+function unit(v) {
+    return scale(1 / length(v), v);
+}
+
+function transformPoint(m, p) {
+    return mult(m, vec4(p[0], p[1], p[2], 1)).slice(0, 3);
+}
+
+function transformVector(m, v) {
+    return mult(m, vec4(v[0], v[1], v[2], 0)).slice(0, 3);
+}
+
+/**
+ * Gizmo placement: { origin, axes } in world space, axes of unit length.
+ * @param {object} node an indexed scene node
+ * @param {string} mode one of GIZMO_MODES
+ */
+function gizmoFrame(node, mode) {
+    const m = parentFrame(node);
+    return {
+        origin: transformPoint(m, node.translation),
+        axes: [0, 1, 2].map(i => unit(transformVector(m, localAxis(node, mode, i))))
+    };
+}
+
+// matrix taking the unit cylinder (along y, centered) to a segment from a to b of a given width
+function segmentMatrix(a, b, width) {
+    const d = subtract(b, a);
+    const y = unit(d);
+    // any direction not parallel to the segment
+    const other = Math.abs(y[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+    const x = unit(cross(y, other));
+    const z = cross(x, y);
+    const c = scale(0.5, add(a, b));
+    const basis = mat4(
+        x[0], y[0], z[0], c[0],
+        x[1], y[1], z[1], c[1],
+        x[2], y[2], z[2], c[2],
+        0, 0, 0, 1
+    );
+    return mult(basis, scalem(width, length(d), width));
+}
+
+/**
+ * Handles of a gizmo: for each axis, the primitives to draw (and to pick) as
+ * { primitive, matrix } with world matrices: an arrow ending in a sphere
+ * (translate) or a cube (scale), or a ring around the axis (rotate).
+ * @param {object} frame from gizmoFrame()
+ * @param {string} mode one of GIZMO_MODES
+ * @param {number} size handle length / ring radius
+ * @returns {object[][]} handles[axis]
+ */
+function gizmoHandles(frame, mode, size = GIZMO_SIZE) {
+    const { origin, axes } = frame;
+    return axes.map((axis, i) => {
+        if (mode == "rotate") {
+            // ring in the plane of the two other axes
+            const u = axes[(i + 1) % 3];
+            const w = unit(cross(axis, u));
+            const v = unit(cross(w, axis));
+            const point = k => {
+                const phi = 2 * Math.PI * k / RING_SEGMENTS;
+                return add(origin, add(scale(size * Math.cos(phi), v), scale(size * Math.sin(phi), w)));
+            };
+            const parts = [];
+            for (let k = 0; k < RING_SEGMENTS; k++) {
+                parts.push({ primitive: "cylinder", matrix: segmentMatrix(point(k), point(k + 1), HANDLE_WIDTH) });
+            }
+            return parts;
+        }
+        const tip = add(origin, scale(size, axis));
+        return [
+            { primitive: "cylinder", matrix: segmentMatrix(origin, tip, HANDLE_WIDTH) },
+            {
+                primitive: mode == "scale" ? "cube" : "sphere",
+                matrix: segmentMatrix(add(tip, scale(-TIP_SIZE / 2, axis)), add(tip, scale(TIP_SIZE / 2, axis)), TIP_SIZE)
+            }
+        ];
+    });
+}
+
+/**
+ * World-space ray through a point of a viewport.
+ * @param {number[][]} viewProjection projection * view matrix of the viewport
+ * @param {number} x normalized device coordinates ([-1, 1], y up)
+ * @param {number} y
+ * @returns {{origin: number[], dir: number[]}} dir of unit length
+ */
+function unprojectRay(viewProjection, x, y) {
+    const inv = inverse(viewProjection);
+    const near = mult(inv, vec4(x, y, -1, 1));
+    const far = mult(inv, vec4(x, y, 1, 1));
+    const a = scale(1 / near[3], near.slice(0, 3));
+    const b = scale(1 / far[3], far.slice(0, 3));
+    return { origin: a, dir: unit(subtract(b, a)) };
+}
+
+// ray in the node's parent space
+function rayInParent(node, ray) {
+    const inv = inverse(parentFrame(node));
+    return { origin: transformPoint(inv, ray.origin), dir: transformVector(inv, ray.dir) };
+}
+
+// parameter s of the point p + s * axis of a line closest to a ray, or null if they are parallel
+function closestOnLine(p, axis, ray) {
+    const d = unit(ray.dir);
+    const b = dot(axis, d);
+    const denom = 1 - b * b;
+    if (denom < PARALLEL_EPSILON) return null;
+    const w = subtract(p, ray.origin);
+    return (b * dot(d, w) - dot(axis, w)) / denom;
+}
+
+// point where a ray meets the plane through p with a normal, or null
+function onPlane(p, normal, ray) {
+    const d = unit(ray.dir);
+    const c = dot(normal, d);
+    if (Math.abs(c) < PARALLEL_EPSILON) return null;
+    const t = dot(normal, subtract(p, ray.origin)) / c;
+    return add(ray.origin, scale(t, d));
+}
+
+// where the drag is along its line (translate, scale) or plane (rotate)
+function dragPosition(drag, ray) {
+    const local = rayInParent(drag.node, ray);
+    const p = drag.origin;
+    if (drag.mode == "rotate") {
+        const hit = onPlane(p, drag.axisDir, local);
+        return hit && subtract(hit, p);
+    }
+    return closestOnLine(p, drag.axisDir, local);
+}
+
+/**
+ * Starts dragging a handle.
+ * @param {object} node an indexed scene node
+ * @param {string} mode one of GIZMO_MODES
+ * @param {number} axis handle index (0 x, 1 y, 2 z)
+ * @param {object} ray world ray under the mouse (unprojectRay())
+ * @param {function} limits (node, field, index) => [min, max] or null, for
+ *   fields that must stay in a range (e.g. the cannon pitch)
+ * @returns {object|null} the drag (for dragTo()), or null when the handle is
+ *   seen edge-on and cannot be dragged
+ */
+function startDrag(node, mode, axis, ray, limits = () => null) {
+    const field = { translate: "translation", rotate: "rotation", scale: "scale" }[mode];
+    const drag = {
+        node, mode, axis, field, limits,
+        start: node[field][axis],
+        origin: node.translation.slice(),   // lines and planes go through the node's origin at the start
+        axisDir: localAxis(node, mode, axis)
+    };
+    const position = dragPosition(drag, ray);
+    if (position == null) return null;
+    if (mode == "scale" && Math.abs(position) < PARALLEL_EPSILON) return null;
+    drag.from = position;
+    drag.angle = 0;     // rotation so far (degrees)
+    return drag;
+}
+
+/**
+ * Moves a drag to a new mouse ray, changing the node's field.
+ * Rays parallel to the drag line or plane are skipped.
+ */
+function dragTo(drag, ray) {
+    const position = dragPosition(drag, ray);
+    if (position == null) return;
+    let value;
+    if (drag.mode == "translate") {
+        value = drag.start + position - drag.from;
+    } else if (drag.mode == "scale") {
+        value = drag.start * position / drag.from;
+        if (Math.abs(value) < MIN_SCALE) value = MIN_SCALE * (Math.sign(drag.start) || 1);
+    } else {
+        // angles add up step by step, so a drag can go round more than once
+        if (length(position) < PARALLEL_EPSILON) return;
+        const a = drag.from;
+        drag.angle += Math.atan2(dot(cross(a, position), drag.axisDir), dot(a, position)) * 180 / Math.PI;
+        drag.from = position;
+        value = drag.start + drag.angle;
+    }
+    const range = drag.limits(drag.node, drag.field, drag.axis);
+    if (range) value = Math.min(Math.max(value, range[0]), range[1]);
+    drag.node[drag.field][drag.axis] = value;
+}
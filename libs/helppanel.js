@@ -0,0 +1,113 @@
+/**
+ * helppanel.js
+ *
+ * Key help generated from the action registry (libs/controls.js), so it always
+ * shows the current bindings. Clicking the key of an action waits for a new
+ * key to bind to it (Escape cancels).
+ */
+export {
+    createHelpPanel, keyName
+}
+
+// display names of keys whose KeyboardEvent.key is not readable as is
+const KEY_NAMES = {
+    ' ': "Space",
+    ArrowLeft: "←",
+    ArrowRight: "→",
+    ArrowUp: "↑",
+    ArrowDown: "↓",
+    Escape: "Esc"
+};
+
+function keyName(key) {
+    if (KEY_NAMES[key]) return KEY_NAMES[key];
+    return key.length == 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Fills element with the help of every action in registry order, grouped.
+ * @param {HTMLElement} element panel content (replaced)
+ * @param {object} options
+ *   actions:  the action registry ({ name: { group, label } })
+ *   input:    input manager holding the bindings (libs/input.js)
+ *   notes:    extra lines, as [keys, description] pairs (e.g. mouse controls)
+ *   onRebind: called with (action, key) after the user binds a key
+ *   onReset:  called when the user asks for the default bindings
+ * @returns {object} { render(), capture(event) }; call capture first in the
+ *   keydown handler: it returns true when the key was taken for a rebinding
+ */
+function createHelpPanel(element, options) {
+    const { actions, input, notes = [], onRebind = () => {}, onReset = () => {} } = options;
+    let waiting = null;     // action waiting for a key
+
+    function render() {
+        element.replaceChildren();
+        let group = null;
+        for (let name in actions) {
+            const action = actions[name];
+            if (action.group != group) {
+                group = action.group;
+                const heading = document.createElement("h4");
+                heading.textContent = group;
+                element.append(heading);
+            }
+            const keys = input.bindings[name] || [];
+            const button = document.createElement("button");
+            button.className = "binding-key" + (waiting == name ? " waiting" : "");
+            button.textContent = waiting == name ? "press a key" : keys.length ? keys.map(keyName).join(" ") : "—";
+            button.title = "Click to change";
+            button.onclick = () => {
+                // a focused button would be clicked again by Space or Enter
+                button.blur();
+                waiting = waiting == name ? null : name;
+                render();
+            };
+            element.append(row(button, action.label));
+        }
+        if (notes.length) {
+            const heading = document.createElement("h4");
+            heading.textContent = "Mouse";
+            element.append(heading);
+            for (let [keys, description] of notes) {
+                const label = document.createElement("span");
+                label.className = "binding-key";
+                label.textContent = keys;
+                element.append(row(label, description));
+            }
+        }
+        const reset = document.createElement("button");
+        reset.className = "binding-reset";
+        reset.textContent = "Reset keys";
+        reset.onclick = () => {
+            reset.blur();
+            waiting = null;
+            onReset();
+            render();
+        };
+        element.append(reset);
+    }
+
+    function row(key, text) {
+        const div = document.createElement("div");
+        div.className = "binding-row";
+        const label = document.createElement("span");
+        label.textContent = text;
+        div.append(key, label);
+        return div;
+    }
+
+    function capture(event) {
+        if (!waiting) return false;
+        event.preventDefault();
+        if (event.key != "Escape") {
+            input.rebind(waiting, event.key);
+            onRebind(waiting, event.key);
+        }
+        waiting = null;
+        render();
+        return true;
+    }
+
+    render();
+    return { render, capture };
+}
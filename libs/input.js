@@ -0,0 +1,133 @@
+/**
+ * input.js
+ *
+ * Keyboard state by action. Keys are bound to named actions (several keys may
+ * share an action); the manager remembers which keys are held, so an action
+ * can be polled every frame (isActive) instead of waiting for key repeats,
+ * and any number of actions can be active at once.
+ *
+ * Bindings changed by the user are saved in a Storage object (localStorage in
+ * the browser) as the differences from the defaults.
+ */
+export {
+    BINDINGS_KEY, createInput, normalizeKey, loadBindings, saveBindings
+}
+
+const BINDINGS_KEY = "keyBindings";
+
+/**
+ * Key name used for the bindings: letters are lower case, so that shift or
+ * caps lock do not change the action ("Q" and "q" are the same key).
+ * @param {string} key KeyboardEvent.key
+ */
+function normalizeKey(key) {
+    return key.length == 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Default bindings with the user's overrides from storage applied.
+ * Overrides of unknown actions, and unreadable ones, are ignored.
+ * @param {Storage} storage
+ * @param {object} defaults { action: [key, ...] }
+ */
+function loadBindings(storage, defaults) {
+    const bindings = { ...defaults };
+    let overrides = {};
+    try {
+        overrides = JSON.parse(storage.getItem(BINDINGS_KEY)) || {};
+    } catch (e) {
+        // corrupted entry: keep the defaults
+    }
+    for (let action in overrides) {
+        const keys = overrides[action];
+        if (action in defaults && Array.isArray(keys) && keys.every(k => typeof k == "string")) {
+            bindings[action] = keys;
+        }
+    }
+    return bindings;
+}
+
+/**
+ * Saves the bindings that differ from the defaults (nothing is kept when none do).
+ * @param {Storage} storage
+ * @param {object} bindings current bindings
+ * @param {object} defaults
+ */
+function saveBindings(storage, bindings, defaults) {
+    const overrides = {};
+    for (let action in bindings) {
+        if (String(bindings[action]) != String(defaults[action])) overrides[action] = bindings[action];
+    }
+    if (Object.keys(overrides).length) {
+        storage.setItem(BINDINGS_KEY, JSON.stringify(overrides));
+    } else {
+        storage.removeItem(BINDINGS_KEY);
+    }
+}
+
+/**
+ * Creates an input manager.
+ * @param {object} bindings keys of each action: { action: [key, ...] }
+ * @returns {object} the manager; feed it with keyDown / keyUp
+ */
+function createInput(bindings = {}) {
+    const input = {
+        bindings: {},
+        keyDown, keyUp, clear, isActive, axis, actionFor, bind, rebind
+    };
+    const held = new Set();     // keys down
+    for (let action in bindings) bind(action, bindings[action]);
+
+    // bind an action to a list of keys (replaces its previous keys)
+    function bind(action, keys) {
+        input.bindings[action] = keys.map(normalizeKey);
+    }
+
+    // make key the only key of an action, taking it away from any other action
+    function rebind(action, key) {
+        key = normalizeKey(key);
+        for (let other in input.bindings) {
+            input.bindings[other] = input.bindings[other].filter(k => k != key);
+        }
+        input.bindings[action] = [key];
+    }
+
+    // action bound to a key, or null
+    function actionFor(key) {
+        key = normalizeKey(key);
+        for (let action in input.bindings) {
+            if (input.bindings[action].includes(key)) return action;
+        }
+        return null;
+    }
+
+    // a key went down; returns its action, or null (also for auto-repeats of a held key)
+    function keyDown(key) {
+        key = normalizeKey(key);
+        if (held.has(key)) return null;
+        held.add(key);
+        return actionFor(key);
+    }
+
+    function keyUp(key) {
+        held.delete(normalizeKey(key));
+    }
+
+    // forget every held key (e.g. when the window loses focus and keyup events are lost)
+    function clear() {
+        held.clear();
+    }
+
+    // whether one of the keys of an action is held
+    function isActive(action) {
+        const keys = input.bindings[action];
+        return !!keys && keys.some(key => held.has(key));
+    }
+
+    // -1, 0 or 1 from a pair of opposite actions
+    function axis(negative, positive) {
+        return (isActive(positive) ? 1 : 0) - (isActive(negative) ? 1 : 0);
+    }
+
+    return input;
+}
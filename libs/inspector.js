@@ -0,0 +1,164 @@
+/**
+ * inspector.js
+ *
+ * Debug panel (dat.gui) for the scene graph: the hierarchy as an indented list
+ * of nodes, and the fields of the selected node (translation, rotation, scale,
+ * color, inheritScale) edited in place, with its world matrix shown read-only.
+ *
+ * The controllers write straight into the nodes. The scene watches their
+ * transforms (libs/scene.js) and drawByGraph reads colors every frame, so
+ * edits show on the next frame. Values changed elsewhere (driving, keys) are
+ * brought back into the panel by update().
+ */
+import { GUI } from "./dat.gui.module.js";
+import { getWorldMatrix } from "./scene.js";
+import { MIN_SCALE } from "./gizmo.js";
+
+export {
+    createInspector
+}
+
+const PANEL_WIDTH = 300;
+// controller steps
+const TRANSLATION_STEP = 0.01;
+const ROTATION_STEP = 1;        // degrees
+const SCALE_STEP = 0.01;
+// decimals shown in the world matrix
+const MATRIX_DECIMALS = 3;
+
+/**
+ * Adds the inspector panel to a container.
+ * @param {HTMLElement} container usually document.body
+ * @param {object} options
+ *   root:        root node of the (indexed) scene
+ *   nodesByName: scene index
+ *   onExport:    called when the user asks for the scene file
+ *   limits:      (node, field, index) => [min, max] or null, ranges of the
+ *                transform fields (e.g. the cannon pitch)
+ * @returns {object} { select(node), selected(), update(), element }: call
+ *   update() every frame to show values changed outside the panel
+ */
+function createInspector(container, options) {
+    const { root, nodesByName, onExport = () => {}, limits = () => null } = options;
+    const element = document.createElement("div");
+    element.id = "inspector";
+    container.append(element);
+
+    const gui = new GUI({ autoPlace: false, width: PANEL_WIDTH, closed: true });
+    gui.domElement.id = "inspectorGUI";
+    element.append(gui.domElement);
+
+    const state = { node: "" };
+    const picker = gui.add(state, "node", hierarchyOptions(root)).name("Node")
+        .onChange(name => select(nodesByName[name] || null));
+    gui.add({ export: onExport }, "export").name("Export scene JSON");
+
+    let folder = null;      // fields of the selected node
+    let watched = [];       // [controller, value shown] of the fields
+    let matrixRows = null;  // world matrix, one string per row
+
+    function select(node) {
+        state.node = node ? node.name : "";
+        picker.updateDisplay();
+        if (folder) gui.removeFolder(folder);
+        folder = null;
+        watched = [];
+        matrixRows = null;
+        if (!node) return;
+
+        folder = gui.addFolder(node.name);
+        for (let [field, step] of [["translation", TRANSLATION_STEP], ["rotation", ROTATION_STEP], ["scale", SCALE_STEP]]) {
+            const sub = folder.addFolder(field);
+            ["x", "y", "z"].forEach((axis, i) => {
+                const controller = sub.add(node[field], i).name(axis).step(step);
+                // a zero scale cannot be inverted (nor loaded back from the scene file)
+                if (field == "scale") controller.min(MIN_SCALE);
+                const range = limits(node, field, i);
+                if (range) controller.min(range[0]).max(range[1]);
+                watch(controller);
+            });
+            sub.open();
+        }
+
+        const look = { color: colorToHex(inheritedColor(node)), inheritScale: node.inheritScale !== false };
+        const color = folder.addColor(look, "color").name(node.color ? "color" : "color (inherited)")
+            .onChange(hex => {
+                node.color = hexToColor(hex, node.color);
+                color.name("color");
+            });
+        folder.add(look, "inheritScale").onChange(v => { node.inheritScale = v; });
+
+        const matrix = folder.addFolder("world matrix");
+        matrixRows = ["", "", "", ""];
+        updateMatrix(node);
+        for (let i = 0; i < 4; i++) {
+            const row = matrix.add(matrixRows, i).name("row " + i);
+            row.domElement.querySelector("input").readOnly = true;
+            watch(row);
+        }
+        matrix.open();
+        folder.open();
+        gui.open();
+    }
+
+    function watch(controller) {
+        watched.push([controller, controller.getValue()]);
+    }
+
+    function updateMatrix(node) {
+        const m = getWorldMatrix(node);
+        for (let i = 0; i < 4; i++) {
+            matrixRows[i] = m[i].map(v => v.toFixed(MATRIX_DECIMALS)).join("  ");
+        }
+    }
+
+    function selected() {
+        return nodesByName[state.node] || null;
+    }
+
+    // refresh only the values that changed, so a field being typed in is left alone
+    function update() {
+        const node = selected();
+        if (!node || gui.closed) return;
+        updateMatrix(node);
+        for (let entry of watched) {
+            const value = entry[0].getValue();
+            if (value !== entry[1]) {
+                entry[0].updateDisplay();
+                entry[1] = value;
+            }
+        }
+    }
+
+    return { select, selected, update, element };
+}
+
+// dropdown options of every node in scene order, indented by depth ({ label: name })
+function hierarchyOptions(root) {
+    const options = { "(none)": "" };
+    (function add(node, depth) {
+        options["\u00a0\u00a0".repeat(depth) + node.name] = node.name;     // spaces would be collapsed
+        if (node.children) node.children.forEach(child => add(child, depth + 1));
+    })(root, 0);
+    return options;
+}
+
+// color a node is drawn with: its own, or the nearest ancestor's (white if none has one)
+function inheritedColor(node) {
+    for (let n = node; n; n = n.parent) {
+        if (n.color) return n.color;
+    }
+    return [1, 1, 1];
+}
+
+// "#rrggbb" of a color in [0, 1]
+function colorToHex(color) {
+    return "#" + color.slice(0, 3).map(v => Math.round(v * 255).toString(16).padStart(2, "0")).join("");
+}
+
+// color in [0, 1] of "#rrggbb" (rounded to 3 decimals), keeping the alpha of the old color if it had one
+function hexToColor(hex, old) {
+    const color = [1, 3, 5].map(i => Math.round(parseInt(hex.slice(i, i + 2), 16) / 255 * 1000) / 1000);
+    if (old && old.length == 4) color.push(old[3]);
+    return color;
+}
@@ -141,12 +141,6 @@ function _buildVertices(diskPoints) {
 
 
 function draw(gl, program, primitive) {
-
-	gl.useProgram(program);
-
-	gl.bindAttribLocation(program, 0, "a_position");
-	gl.bindAttribLocation(program, 1, "a_normal");
-
 	gl.bindVertexArray(vao);
 	gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, primitive == gl.LINES ? edges_buffer : faces_buffer);
 	gl.drawElements(primitive, primitive == gl.LINES ? edges.length : faces.length, gl.UNSIGNED_SHORT, 0);
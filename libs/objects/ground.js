@@ -0,0 +1,159 @@
+/**
+ * ground.js
+ *
+ * Checkerboard ground built as a single mesh, so the whole board is one draw call.
+ * Every tile is a box with its own color, uploaded as a per-vertex attribute.
+ */
+export {
+    init, draw
+}
+
+import { vec3, vec4, flatten } from '../MV.js';
+
+const DEFAULTS = {
+    tileSize: 0.5,
+    tileHeight: 0.05,
+    tilesPerSide: 24,
+    palette: [vec4(0.8, 0.8, 0.8, 1), vec4(1, 1, 1, 1)]
+};
+
+// corners and normals of a unit box centered at the origin (same faces as cube.js)
+const corners = [
+    vec3(-0.5, -0.5, +0.5),     // 0
+    vec3(+0.5, -0.5, +0.5),     // 1
+    vec3(+0.5, +0.5, +0.5),     // 2
+    vec3(-0.5, +0.5, +0.5),     // 3
+    vec3(-0.5, -0.5, -0.5),     // 4
+    vec3(+0.5, -0.5, -0.5),     // 5
+    vec3(+0.5, +0.5, -0.5),     // 6
+    vec3(-0.5, +0.5, -0.5)      // 7
+];
+const boxFaces = [
+    [0, 1, 2, 3, vec3(0, 0, 1)],
+    [1, 5, 6, 2, vec3(1, 0, 0)],
+    [4, 7, 6, 5, vec3(0, 0, -1)],
+    [0, 3, 7, 4, vec3(-1, 0, 0)],
+    [3, 2, 6, 7, vec3(0, 1, 0)],
+    [0, 4, 5, 1, vec3(0, -1, 0)]
+];
+
+let points = [];
+let normals = [];
+let colors = [];
+let faces = [];
+
+let points_buffer;
+let normals_buffer;
+let colors_buffer;
+let faces_buffer;
+let index_type;
+
+let vao;
+
+/**
+ * Builds (or rebuilds) the ground.
+ * Tiles are centered on multiples of tileSize with their top face at y = 0,
+ * and tile (i, j) gets palette[(i + j) mod palette.length].
+ * @param {WebGL2RenderingContext} gl
+ * @param {object} options tileSize, tileHeight, tilesPerSide and palette (overrides DEFAULTS)
+ */
+function init(gl, options = {}) {
+    _build({ ...DEFAULTS, ...options });
+    _uploadData(gl);
+}
+
+function _build(opts) {
+    points = [];
+    normals = [];
+    colors = [];
+    faces = [];
+
+    const half = opts.tilesPerSide / 2;
+    for (let i = -half; i < half; i++) {
+        for (let j = -half; j < half; j++) {
+            const n = opts.palette.length;
+            const color = opts.palette[(((i + j) % n) + n) % n];
+            const center = vec3(i * opts.tileSize, -opts.tileHeight / 2, j * opts.tileSize);
+            const size = vec3(opts.tileSize, opts.tileHeight, opts.tileSize);
+            for (let [a, b, c, d, normal] of boxFaces) {
+                _addFace([a, b, c, d], normal, center, size, color);
+            }
+        }
+    }
+}
+
+function _addFace(indices, normal, center, size, color) {
+    const offset = points.length;
+
+    for (let k of indices) {
+        const p = corners[k];
+        points.push(vec3(
+            center[0] + p[0] * size[0],
+            center[1] + p[1] * size[1],
+            center[2] + p[2] * size[2]
+        ));
+        normals.push(normal);
+        colors.push(color);
+    }
+
+    // 2 triangular faces (a,b,c) and (a,c,d)
+    faces.push(offset, offset + 1, offset + 2);
+    faces.push(offset, offset + 2, offset + 3);
+}
+
+function _uploadData(gl) {
+    // drop the buffers of a previous configuration
+    if (vao) {
+        gl.deleteVertexArray(vao);
+        gl.deleteBuffer(points_buffer);
+        gl.deleteBuffer(normals_buffer);
+        gl.deleteBuffer(colors_buffer);
+        gl.deleteBuffer(faces_buffer);
+    }
+
+    vao = gl.createVertexArray();
+    gl.bindVertexArray(vao);
+
+    points_buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, points_buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, flatten(points), gl.STATIC_DRAW);
+
+    const a_position = 0;
+    gl.vertexAttribPointer(a_position, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(a_position);
+
+    normals_buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, normals_buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, flatten(normals), gl.STATIC_DRAW);
+
+    const a_normal = 1;
+    gl.vertexAttribPointer(a_normal, 3, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(a_normal);
+
+    colors_buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, colors_buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, flatten(colors), gl.STATIC_DRAW);
+
+    const a_color = 2;
+    gl.vertexAttribPointer(a_color, 4, gl.FLOAT, false, 0, 0);
+    gl.enableVertexAttribArray(a_color);
+
+    // large boards need 32-bit indices
+    const wide = points.length > 0xffff;
+    index_type = wide ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT;
+    faces_buffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, faces_buffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, wide ? new Uint32Array(faces) : new Uint16Array(faces), gl.STATIC_DRAW);
+
+    gl.bindVertexArray(null);
+}
+
+/**
+ * Draws the whole board. The program must take its colors from the
+ * a_color attribute (location 2) for the tiles to show their palette.
+ */
+function draw(gl, program) {
+    gl.bindVertexArray(vao);
+    gl.drawElements(gl.TRIANGLES, faces.length, index_type, 0);
+    gl.bindVertexArray(null);
+}
@@ -0,0 +1,186 @@
+import { lookAt, normalize, cross, subtract, add, scale } from "./MV.js";
+export { createOrbitController };
+
+/**
+ * Orbit (trackball) camera controller.
+ * Left-drag rotates around the target, right-drag pans the target and the
+ * wheel dollies towards it. Rotation and panning keep some inertia after the
+ * mouse is released, which update(dt) lets decay every frame.
+ *
+ * The camera direction uses the same angles as an axonometric projection:
+ * theta rotates around the vertical axis and gamma tilts the view down.
+ */
+
+const DEFAULTS = {
+    target: [0, 0, 0],
+    distance: 7,
+    theta: 35,          // degrees around the y axis
+    gamma: 45,          // degrees above the ground plane
+    minDistance: 1,
+    maxDistance: 50,
+    minGamma: -89,      // stay away from the poles, where "up" is undefined
+    maxGamma: 89,
+    minTheta: null,     // null leaves theta unlimited
+    maxTheta: null,
+    rotateSpeed: 0.3,   // degrees per pixel
+    panSpeed: 0.0015,   // world units per pixel, per unit of distance
+    dollyStep: 1.1,     // distance factor per wheel notch
+    damping: 6,         // how fast the inertia dies out (1/s)
+    inertia: true
+};
+
+// velocities below this are treated as stopped
+const MIN_VELOCITY = 1e-3;
+// releasing the mouse after holding it still longer than this cancels inertia (ms)
+const RELEASE_DELAY = 60;
+
+/**
+ * Creates an orbit controller listening to pointer and wheel events on an element.
+ * @param {HTMLElement} element element receiving the mouse events (usually the canvas)
+ * @param {object} options overrides for DEFAULTS
+ * @returns {object} the controller; set `enabled` to false to ignore the mouse
+ */
+function createOrbitController(element, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+
+    const controller = {
+        enabled: true,
+        target: [...opts.target],
+        distance: opts.distance,
+        theta: opts.theta,
+        gamma: opts.gamma,
+        options: opts,
+        rotate, pan, dolly, update, reset, eye, viewMatrix, zoomFactor
+    };
+
+    // inertia, in degrees per second and pixels per second
+    const velocity = { theta: 0, gamma: 0, panX: 0, panY: 0 };
+    let drag = null;    // { mode, x, y, time } while a button is held
+
+    function clamp(v, min, max) {
+        if (min != null) v = Math.max(v, min);
+        if (max != null) v = Math.min(v, max);
+        return v;
+    }
+
+    // rotate around the target (degrees)
+    function rotate(dTheta, dGamma) {
+        controller.theta = clamp(controller.theta + dTheta, opts.minTheta, opts.maxTheta);
+        controller.gamma = clamp(controller.gamma + dGamma, opts.minGamma, opts.maxGamma);
+    }
+
+    // move the target in the view plane (pixels)
+    function pan(dx, dy) {
+        const dir = normalize(subtract(eye(), controller.target));
+        const right = normalize(cross([0, 1, 0], dir));
+        const up = cross(dir, right);
+        const k = opts.panSpeed * controller.distance;
+        controller.target = add(controller.target, add(scale(-dx * k, right), scale(dy * k, up)));
+    }
+
+    // multiply the distance to the target by a factor
+    function dolly(factor) {
+        controller.distance = clamp(controller.distance * factor, opts.minDistance, opts.maxDistance);
+    }
+
+    // apply (and decay) the inertia left by the last drag
+    function update(dt) {
+        if (drag || !opts.inertia) return;
+        rotate(velocity.theta * dt, velocity.gamma * dt);
+        if (velocity.panX || velocity.panY) pan(velocity.panX * dt, velocity.panY * dt);
+        const decay = Math.exp(-opts.damping * dt);
+        for (let key in velocity) {
+            velocity[key] *= decay;
+            if (Math.abs(velocity[key]) < MIN_VELOCITY) velocity[key] = 0;
+        }
+    }
+
+    // back to the initial target, distance and angles
+    function reset() {
+        controller.target = [...opts.target];
+        controller.distance = opts.distance;
+        controller.theta = opts.theta;
+        controller.gamma = opts.gamma;
+        stop();
+    }
+
+    function stop() {
+        for (let key in velocity) velocity[key] = 0;
+    }
+
+    // camera position in world coordinates
+    function eye() {
+        const t = controller.theta * Math.PI / 180;
+        const g = controller.gamma * Math.PI / 180;
+        const offset = [
+            -Math.cos(g) * Math.sin(t),
+            Math.sin(g),
+            Math.cos(g) * Math.cos(t)
+        ];
+        return add(controller.target, scale(controller.distance, offset));
+    }
+
+    function viewMatrix() {
+        return lookAt(eye(), controller.target, [0, 1, 0]);
+    }
+
+    // distance relative to the initial one (scales orthographic projections)
+    function zoomFactor() {
+        return controller.distance / opts.distance;
+    }
+
+    element.addEventListener("pointerdown", function (event) {
+        if (!controller.enabled || event.pointerType == "touch") return;
+        const mode = event.button == 0 ? "rotate" : event.button == 2 ? "pan" : null;
+        if (!mode) return;
+        stop();
+        drag = { mode, x: event.clientX, y: event.clientY, time: event.timeStamp };
+        element.setPointerCapture(event.pointerId);
+    });
+
+    element.addEventListener("pointermove", function (event) {
+        if (!drag) return;
+        // disabled during the drag (e.g. the view changed): drop it, without inertia
+        if (!controller.enabled) {
+            drag = null;
+            stop();
+            return;
+        }
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        const dt = Math.max((event.timeStamp - drag.time) / 1000, 1 / 240);
+        if (drag.mode == "rotate") {
+            rotate(dx * opts.rotateSpeed, dy * opts.rotateSpeed);
+            velocity.theta = dx * opts.rotateSpeed / dt;
+            velocity.gamma = dy * opts.rotateSpeed / dt;
+        } else {
+            pan(dx, dy);
+            velocity.panX = dx / dt;
+            velocity.panY = dy / dt;
+        }
+        drag.x = event.clientX;
+        drag.y = event.clientY;
+        drag.time = event.timeStamp;
+    });
+
+    function endDrag(event) {
+        if (!drag) return;
+        if (event.timeStamp - drag.time > RELEASE_DELAY) stop();
+        drag = null;
+    }
+    element.addEventListener("pointerup", endDrag);
+    element.addEventListener("pointercancel", endDrag);
+
+    element.addEventListener("wheel", function (event) {
+        if (!controller.enabled) return;
+        event.preventDefault();
+        dolly(event.deltaY <= 0 ? 1 / opts.dollyStep : opts.dollyStep);
+    }, { passive: false });
+
+    // the right button pans, so keep the browser menu away
+    element.addEventListener("contextmenu", function (event) {
+        if (controller.enabled) event.preventDefault();
+    });
+
+    return controller;
+}
@@ -0,0 +1,92 @@
+/**
+ * picking.js
+ *
+ * Object picking with an ID buffer: the application draws every pickable
+ * object in a flat color encoding its ID (1, 2, ...; 0 is the background)
+ * into an offscreen framebuffer, and the pixel under the cursor is read back.
+ * Only that pixel is drawn (scissor test), so a pick costs little.
+ *
+ * The ID / color encoding and the viewport lookup do not need WebGL.
+ */
+export {
+    MAX_PICK_ID, idToColor, colorToId, viewportAt, createPickBuffer
+}
+
+// IDs are stored in the red, green and blue bytes
+const MAX_PICK_ID = 0xffffff;
+
+/**
+ * Flat color (RGBA in [0, 1], for u_color) encoding an ID.
+ * @param {number} id integer in [0, MAX_PICK_ID]
+ */
+function idToColor(id) {
+    if (!Number.isInteger(id) || id < 0 || id > MAX_PICK_ID) {
+        throw new RangeError("idToColor(): id must be an integer in [0, " + MAX_PICK_ID + "], got " + id);
+    }
+    return [((id >> 16) & 0xff) / 255, ((id >> 8) & 0xff) / 255, (id & 0xff) / 255, 1];
+}
+
+/**
+ * ID encoded by a pixel read back from the buffer.
+ * @param {Uint8Array|number[]} pixel RGBA bytes
+ */
+function colorToId(pixel) {
+    return (pixel[0] << 16) | (pixel[1] << 8) | pixel[2];
+}
+
+/**
+ * Viewport containing a pixel, or null.
+ * @param {object[]} viewports { x, y, width, height, ... } in GL pixels (y up)
+ */
+function viewportAt(viewports, x, y) {
+    for (let vp of viewports) {
+        if (x >= vp.x && x < vp.x + vp.width && y >= vp.y && y < vp.y + vp.height) return vp;
+    }
+    return null;
+}
+
+/**
+ * Offscreen color + depth buffer for picking.
+ * @param {WebGL2RenderingContext} gl
+ * @returns {object} { pick(width, height, x, y, draw) }: resizes the buffer to
+ *   width x height if needed, clears pixel (x, y) (GL coordinates, y up), calls
+ *   draw() with the buffer bound and returns the ID found at that pixel
+ */
+function createPickBuffer(gl) {
+    const framebuffer = gl.createFramebuffer();
+    const color = gl.createRenderbuffer();
+    const depth = gl.createRenderbuffer();
+    let size = [0, 0];
+
+    function resize(width, height) {
+        if (size[0] == width && size[1] == height) return;
+        size = [width, height];
+        gl.bindRenderbuffer(gl.RENDERBUFFER, color);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.RGBA8, width, height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, depth);
+        gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT24, width, height);
+        gl.bindRenderbuffer(gl.RENDERBUFFER, null);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.RENDERBUFFER, color);
+        gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, depth);
+    }
+
+    function pick(width, height, x, y, draw) {
+        resize(width, height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+        const clearColor = gl.getParameter(gl.COLOR_CLEAR_VALUE);
+        gl.enable(gl.SCISSOR_TEST);
+        gl.scissor(x, y, 1, 1);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        draw();
+        const pixel = new Uint8Array(4);
+        gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel);
+        gl.disable(gl.SCISSOR_TEST);
+        gl.clearColor(clearColor[0], clearColor[1], clearColor[2], clearColor[3]);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        return colorToId(pixel);
+    }
+
+    return { pick };
+}
@@ -0,0 +1,475 @@
+import { mult, translate, rotateX, rotateY, rotateZ, scalem } from "./MV.js";
+export {
+    SceneError, PRIMITIVES, NODE_TYPES, LIGHT_TYPES, validateScene, parseScene, loadScene,
+    sceneToJSON, serializeScene, indexScene, addNode, removeNode, localMatrix, getWorldMatrix
+};
+
+/**
+ * Scene graph loading, validation and bookkeeping.
+ * validateScene() only looks at plain objects, so scenes can be checked under
+ * Node as well as in the browser.
+ *
+ * Parent links are derived from the nesting: indexScene() gives every node a
+ * non-enumerable `parent` reference (null for the root), so they never end up
+ * in the JSON written back out. Nodes added or removed at runtime must go
+ * through addNode() / removeNode() to keep the links and the index in sync.
+ *
+ * Indexed nodes also cache their local and world matrices. Their translation,
+ * rotation and scale arrays (and inheritScale) are watched, so plain
+ * assignments like `node.rotation[1] += 5` mark the node dirty, and the
+ * world matrices of its descendants with it; matrices are only rebuilt when
+ * asked for.
+ */
+
+const PRIMITIVES = ["cube", "cylinder", "sphere"];
+const NODE_TYPES = ["primitive", "group", "camera", "light"];
+const LIGHT_TYPES = ["point", "directional"];
+
+const NODE_FIELDS = [
+    "name", "type", "translation", "rotation", "scale", "primitive", "color",
+    "material", "light", "inheritScale", "parent", "children"
+];
+const MATERIAL_FIELDS = ["Ka", "Kd", "Ks", "shininess"];
+const LIGHT_FIELDS = ["type", "ambient", "diffuse", "specular"];
+
+/**
+ * Thrown when a scene cannot be parsed or fails validation.
+ * problems holds every { path, message } found, not only the first one.
+ */
+class SceneError extends Error {
+    constructor(problems, source = "scene") {
+        const lines = problems.map(p => "  " + p.path + ": " + p.message);
+        super("Invalid " + source + " (" + problems.length + " problem" +
+            (problems.length == 1 ? "" : "s") + "):\n" + lines.join("\n"));
+        this.name = "SceneError";
+        this.problems = problems;
+        this.source = source;
+    }
+}
+
+/**
+ * Checks a scene graph and collects every problem found.
+ * @param {object} root root node of the scene
+ * @returns {{path: string, message: string}[]} problems, empty if the scene is valid
+ */
+function validateScene(root) {
+    const problems = [];
+    const names = new Map();   // name -> path of the first node using it
+
+    function report(path, message) {
+        problems.push({ path, message });
+    }
+
+    function isNumber(v) {
+        return typeof v == "number" && Number.isFinite(v);
+    }
+
+    function checkVector(value, path, sizes, required) {
+        if (value === undefined) {
+            if (required) report(path, "is missing");
+            return false;
+        }
+        if (!Array.isArray(value) || !sizes.includes(value.length)) {
+            report(path, "must be an array of " + sizes.join(" or ") + " numbers");
+            return false;
+        }
+        let ok = true;
+        value.forEach((v, i) => {
+            if (!isNumber(v)) {
+                report(path + "[" + i + "]", "must be a number, got " + JSON.stringify(v));
+                ok = false;
+            }
+        });
+        return ok;
+    }
+
+    function checkColor(value, path, sizes, required = false) {
+        if (!checkVector(value, path, sizes, required)) return;
+        value.forEach((v, i) => {
+            if (v < 0 || v > 1) report(path + "[" + i + "]", "must be in [0, 1], got " + v);
+        });
+    }
+
+    function checkFields(obj, fields, path) {
+        for (let key of Object.keys(obj)) {
+            if (!fields.includes(key)) report(path + "." + key, "unknown field");
+        }
+    }
+
+    function checkMaterial(material, path) {
+        if (typeof material != "object" || material === null || Array.isArray(material)) {
+            report(path, "must be an object");
+            return;
+        }
+        checkFields(material, MATERIAL_FIELDS, path);
+        for (let key of ["Ka", "Kd", "Ks"]) {
+            checkColor(material[key], path + "." + key, [3]);
+        }
+        if (material.shininess !== undefined && !(isNumber(material.shininess) && material.shininess > 0)) {
+            report(path + ".shininess", "must be a positive number");
+        }
+    }
+
+    function checkLight(light, path) {
+        if (typeof light != "object" || light === null || Array.isArray(light)) {
+            report(path, "must be an object");
+            return;
+        }
+        checkFields(light, LIGHT_FIELDS, path);
+        if (!LIGHT_TYPES.includes(light.type)) {
+            report(path + ".type", "must be one of " + LIGHT_TYPES.join(", ") + ", got " + JSON.stringify(light.type));
+        }
+        for (let key of ["ambient", "diffuse", "specular"]) {
+            checkColor(light[key], path + "." + key, [3], true);
+        }
+    }
+
+    function checkNode(node, path, parent) {
+        if (typeof node != "object" || node === null || Array.isArray(node)) {
+            report(path, "node must be an object");
+            return;
+        }
+        checkFields(node, NODE_FIELDS, path);
+
+        if (typeof node.name != "string" || node.name.length == 0) {
+            report(path + ".name", "must be a non-empty string");
+        } else if (names.has(node.name)) {
+            report(path + ".name", "duplicate name '" + node.name + "' (first used at " + names.get(node.name) + ")");
+        } else {
+            names.set(node.name, path);
+        }
+
+        checkVector(node.translation, path + ".translation", [3], true);
+        checkVector(node.rotation, path + ".rotation", [3], true);
+        checkVector(node.scale, path + ".scale", [3], true);
+
+        const type = node.type === undefined ? (node.primitive ? "primitive" : "group") : node.type;
+        if (node.type !== undefined && !NODE_TYPES.includes(node.type)) {
+            report(path + ".type", "must be one of " + NODE_TYPES.join(", ") + ", got " + JSON.stringify(node.type));
+        }
+        if (node.primitive != null && !PRIMITIVES.includes(node.primitive)) {
+            report(path + ".primitive", "must be one of " + PRIMITIVES.join(", ") + " or null, got " + JSON.stringify(node.primitive));
+        }
+        if (type == "primitive" && node.primitive == null) {
+            report(path + ".primitive", "is required for primitive nodes");
+        }
+        if ((type == "camera" || type == "light" || type == "group") && node.primitive != null) {
+            report(path + ".primitive", type + " nodes cannot have a primitive");
+        }
+        if (type == "light") {
+            if (node.light === undefined) report(path + ".light", "is required for light nodes");
+            else checkLight(node.light, path + ".light");
+        } else if (node.light !== undefined) {
+            report(path + ".light", "only light nodes can have light parameters");
+        }
+
+        if (node.color !== undefined) checkColor(node.color, path + ".color", [3, 4]);
+        if (node.material !== undefined) checkMaterial(node.material, path + ".material");
+        if (node.inheritScale !== undefined && typeof node.inheritScale != "boolean") {
+            report(path + ".inheritScale", "must be true or false");
+        }
+
+        // parent names (older scene files) are redundant with the nesting, but must agree with it
+        if (node.parent !== undefined) {
+            if (!parent) {
+                report(path + ".parent", "the root node cannot have a parent");
+            } else if (node.parent !== parent.name) {
+                report(path + ".parent", "is " + JSON.stringify(node.parent) + " but the node is nested in '" + parent.name + "'");
+            }
+        }
+
+        if (node.children === undefined) return;
+        if (!Array.isArray(node.children)) {
+            report(path + ".children", "must be an array");
+            return;
+        }
+        node.children.forEach((child, i) => {
+            const childPath = path + ".children[" + i + "]";
+            // children that cancel the scale need an invertible one
+            if (child && child.inheritScale === false && Array.isArray(node.scale) && node.scale.includes(0)) {
+                report(path + ".scale", "cannot be zero, " + childPath + " does not inherit it");
+            }
+            checkNode(child, childPath, node);
+        });
+    }
+
+    checkNode(root, "$", null);
+    return problems;
+}
+
+/**
+ * Parses and validates the text of a scene file.
+ * @param {string} text JSON text
+ * @param {string} source name used in error messages
+ * @returns {object} the root node
+ * @throws {SceneError} with every problem found
+ */
+function parseScene(text, source = "scene") {
+    let root;
+    try {
+        root = JSON.parse(text);
+    } catch (e) {
+        throw new SceneError([{ path: "$", message: e.message }], source);
+    }
+    const problems = validateScene(root);
+    if (problems.length > 0) throw new SceneError(problems, source);
+    return root;
+}
+
+/**
+ * Fetches and validates a scene file.
+ * @param {string} url
+ * @returns {Promise<object>} the root node
+ */
+async function loadScene(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new SceneError([{ path: "$", message: "could not load (" + response.status + " " + response.statusText + ")" }], url);
+    }
+    return parseScene(await response.text(), url);
+}
+
+/**
+ * Copy of a scene graph as plain data in the scene file format: the fields of
+ * every node in their original order, children in scene order. Parent links
+ * and the change tracking of indexed nodes are left out, and so are parent
+ * names (the nesting already says it).
+ * @param {object} node root node of the scene (or of a subtree)
+ */
+function sceneToJSON(node) {
+    const data = {};
+    for (let key of Object.keys(node)) {
+        if (!NODE_FIELDS.includes(key) || key == "parent" || node[key] === undefined) continue;
+        data[key] = key == "children" ? node.children.map(sceneToJSON) : plainCopy(node[key]);
+    }
+    return data;
+}
+
+// deep copy of JSON-like data (watched arrays become plain ones)
+function plainCopy(value) {
+    if (Array.isArray(value)) return value.map(plainCopy);
+    if (value !== null && typeof value == "object") {
+        const copy = {};
+        for (let key of Object.keys(value)) copy[key] = plainCopy(value[key]);
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Text of a scene file for the current state of a scene graph, as parseScene()
+ * and loadScene() read it back: parsing it gives the same scene, and
+ * serializing that again gives the same text. Number lists are kept on one
+ * line, like in scene.json.
+ * @param {object} root root node of the scene
+ * @returns {string} JSON text
+ */
+function serializeScene(root) {
+    return jsonText(sceneToJSON(root), "") + "\n";
+}
+
+// JSON.stringify(value, null, 2), but with arrays of numbers on one line
+function jsonText(value, indent) {
+    const inner = indent + "  ";
+    if (Array.isArray(value)) {
+        if (value.length == 0) return "[]";
+        if (value.every(v => typeof v == "number")) return "[" + value.map(v => JSON.stringify(v)).join(", ") + "]";
+        return "[\n" + value.map(v => inner + (v === undefined ? "null" : jsonText(v, inner))).join(",\n") + "\n" + indent + "]";
+    }
+    if (value !== null && typeof value == "object") {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined);
+        if (keys.length == 0) return "{}";
+        return "{\n" + keys.map(key => inner + JSON.stringify(key) + ": " + jsonText(value[key], inner)).join(",\n") + "\n" + indent + "}";
+    }
+    return JSON.stringify(value);
+}
+
+// cached matrices of the indexed nodes
+const transforms = new WeakMap();
+const TRANSFORM_FIELDS = ["translation", "rotation", "scale"];
+// nodes whose transform fields are accessors (a node can have cached matrices
+// before that, e.g. getWorldMatrix() called before addNode())
+const watched = new WeakSet();
+
+function transformOf(node) {
+    let t = transforms.get(node);
+    if (!t) {
+        t = { local: null, world: null, localDirty: true, worldDirty: true };
+        transforms.set(node, t);
+    }
+    return t;
+}
+
+// the node's own transform changed
+function markDirty(node) {
+    transformOf(node).localDirty = true;
+    invalidateWorld(node);
+}
+
+// the world matrix of node (and so of its descendants) changed
+function invalidateWorld(node) {
+    const t = transformOf(node);
+    // a dirty node only has dirty descendants, since a world matrix
+    // can only be rebuilt after the parent's
+    if (t.worldDirty) return;
+    t.worldDirty = true;
+    if (node.children) {
+        for (let child of node.children) {
+            invalidateWorld(child);
+        }
+    }
+}
+
+// replaces the transform fields of node by accessors that track changes
+function watchTransform(node) {
+    if (watched.has(node)) return;
+    watched.add(node);
+    // fields changed while unwatched left the cached matrices stale
+    markDirty(node);
+
+    function watch(array) {
+        if (!Array.isArray(array)) return array;
+        return new Proxy(array, {
+            set(target, key, value) {
+                target[key] = value;
+                markDirty(node);
+                return true;
+            }
+        });
+    }
+
+    for (let field of TRANSFORM_FIELDS) {
+        let value = watch(node[field]);
+        Object.defineProperty(node, field, {
+            get() { return value; },
+            set(v) { value = watch(v); markDirty(node); },
+            enumerable: true,
+            configurable: true
+        });
+    }
+
+    // only affects how the parent's scale reaches this node
+    let inheritScale = node.inheritScale;
+    Object.defineProperty(node, "inheritScale", {
+        get() { return inheritScale; },
+        set(v) { inheritScale = v; invalidateWorld(node); },
+        enumerable: true,
+        configurable: true
+    });
+}
+
+// sets the parent link of a node
+function setParent(node, parent) {
+    Object.defineProperty(node, "parent", { value: parent, writable: true, configurable: true, enumerable: false });
+    invalidateWorld(node);
+}
+
+// adds a subtree to the index, linking every node to its parent
+function indexSubtree(node, parent, nodesByName) {
+    watchTransform(node);
+    setParent(node, parent);
+    nodesByName[node.name] = node;
+    if (node.children) {
+        for (let child of node.children) {
+            indexSubtree(child, node, nodesByName);
+        }
+    }
+}
+
+// removes a subtree from the index
+function unindexSubtree(node, nodesByName) {
+    if (nodesByName[node.name] === node) delete nodesByName[node.name];
+    if (node.children) {
+        for (let child of node.children) {
+            unindexSubtree(child, nodesByName);
+        }
+    }
+}
+
+/**
+ * Links every node of a scene to its parent and indexes the nodes by name.
+ * @param {object} root root node of the scene
+ * @param {object} nodesByName index to fill (a new one by default)
+ * @returns {object} nodesByName
+ */
+function indexScene(root, nodesByName = {}) {
+    indexSubtree(root, null, nodesByName);
+    return nodesByName;
+}
+
+/**
+ * Adds a node (with its children) as the last child of parent.
+ * @throws {Error} if a name in the new subtree is already in use, in the
+ *   scene or in the subtree itself
+ */
+function addNode(parent, node, nodesByName) {
+    const taken = [];
+    const seen = new Set();
+    (function collect(n) {
+        if (n.name in nodesByName || seen.has(n.name)) taken.push(n.name);
+        seen.add(n.name);
+        if (n.children) n.children.forEach(collect);
+    })(node);
+    if (taken.length > 0) {
+        throw new Error("addNode(): name already in use: " + taken.join(", "));
+    }
+    if (!parent.children) parent.children = [];
+    parent.children.push(node);
+    indexSubtree(node, parent, nodesByName);
+    return node;
+}
+
+/**
+ * Removes a node (with its children) from the scene.
+ * @throws {Error} for the root node, which has no parent to be removed from
+ */
+function removeNode(node, nodesByName) {
+    if (!node.parent) {
+        throw new Error("removeNode(): cannot remove the root node");
+    }
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+    unindexSubtree(node, nodesByName);
+    setParent(node, null);
+    return node;
+}
+
+/**
+ * Transform of a node relative to its parent: T * Rz * Ry * Rx * S,
+ * the same order drawByGraph applies.
+ */
+function localMatrix(node) {
+    let m = translate(node.translation);
+    m = mult(m, rotateZ(node.rotation[2]));
+    m = mult(m, rotateY(node.rotation[1]));
+    m = mult(m, rotateX(node.rotation[0]));
+    return mult(m, scalem(node.scale));
+}
+
+/**
+ * World matrix of a node (including its own scale), as drawByGraph builds it:
+ * a child with inheritScale == false has its parent's scale cancelled.
+ * The scene must have been indexed with indexScene(). The matrix is cached
+ * until the node or one of its ancestors changes, so it must not be modified.
+ */
+function getWorldMatrix(node) {
+    const t = transformOf(node);
+    if (t.localDirty) {
+        t.local = localMatrix(node);
+        t.localDirty = false;
+    }
+    if (t.worldDirty) {
+        const parent = node.parent;
+        if (!parent) {
+            t.world = t.local;
+        } else {
+            let m = getWorldMatrix(parent);
+            if (node.inheritScale == false && parent.scale) {
+                m = mult(m, scalem(1 / parent.scale[0], 1 / parent.scale[1], 1 / parent.scale[2]));
+            }
+            t.world = mult(m, t.local);
+        }
+        t.worldDirty = false;
+    }
+    return t.world;
+}
@@ -0,0 +1,209 @@
+/**
+ * tank.js
+ *
+ * Tank controls acting on the scene graph nodes (looked up by name):
+ * cabin rotation, cannon pitch, driving with wheel rotation and the cannon pose.
+ * Missing nodes are ignored, so any scene can be used.
+ *
+ * The hull drives along its heading: the local +x axis of the "tank" node,
+ * turned by its yaw (rotation[1]). The cabin is a child of the hull, so its
+ * own yaw stays relative to the hull.
+ */
+import { mult, vec3, vec4, normalize } from "./MV.js";
+import { getWorldMatrix } from "./scene.js";
+
+export {
+    CANNON_ROTATION_UPPER_LIMIT, CANNON_ROTATION_LOWER_LIMIT,
+    CANNON_STEP, CABIN_STEP, WHEEL_DEGREES_PER_UNIT, DRIVE, TRANSFORM_LIMITS,
+    transformLimits, rotateCabin, pitchCannon, moveTank, turnTank, updateWheelRotation, getCannonPose,
+    createDrive, updateDrive, interpolateDrive
+}
+
+// cannon limits
+const CANNON_ROTATION_UPPER_LIMIT = 80;
+const CANNON_ROTATION_LOWER_LIMIT = -17;
+
+// ranges of transform fields set directly (inspector, gizmos): node -> field -> component -> [min, max]
+const TRANSFORM_LIMITS = {
+    cannon_base: { rotation: { 2: [CANNON_ROTATION_LOWER_LIMIT, CANNON_ROTATION_UPPER_LIMIT] } }
+};
+
+// tank properties
+const CANNON_STEP = 5;
+const CABIN_STEP = 5;
+const WHEEL_DEGREES_PER_UNIT = 200;     // wheel rotation per unit travelled (20 degrees per 0.1)
+
+// driving, per simulated second
+const DRIVE = {
+    maxSpeed: 5,            // units per second
+    acceleration: 8,        // units per second^2, speeding up
+    deceleration: 16,       // slowing down (throttle released or reversed)
+    maxTurnRate: 150,       // degrees per second
+    turnAcceleration: 600,  // degrees per second^2
+    cabinRate: 400,         // degrees per second (120 per real second at the normal speed)
+    cannonRate: 200         // degrees per second (60 per real second)
+};
+
+/**
+ * Range a transform field of a node must stay in, or null when it is free.
+ * @param {object} node scene node
+ * @param {string} field "translation", "rotation" or "scale"
+ * @param {number} index component (0 x, 1 y, 2 z)
+ */
+function transformLimits(node, field, index) {
+    const limits = TRANSFORM_LIMITS[node.name];
+    return (limits && limits[field] && limits[field][index]) || null;
+}
+
+// rotate the cabin around the vertical axis (degrees)
+function rotateCabin(nodesByName, degrees) {
+    const cabin = nodesByName["cabin"];
+    if (cabin) cabin.rotation[1] += degrees;
+}
+
+// pitch the cannon (degrees), within its limits
+function pitchCannon(nodesByName, degrees) {
+    const base = nodesByName["cannon_base"];
+    if (!base) return;
+    base.rotation[2] = Math.min(Math.max(base.rotation[2] + degrees,
+        CANNON_ROTATION_LOWER_LIMIT), CANNON_ROTATION_UPPER_LIMIT);
+}
+
+// move the tank along its heading (negative distances back up), turning the wheels to match
+function moveTank(nodesByName, distance) {
+    const tank = nodesByName["tank"];
+    if (!tank) return;
+    const yaw = tank.rotation[1] * Math.PI / 180;
+    tank.translation[0] += Math.cos(yaw) * distance;
+    tank.translation[2] -= Math.sin(yaw) * distance;
+    updateWheelRotation(nodesByName, distance * WHEEL_DEGREES_PER_UNIT);
+}
+
+// turn the hull around the vertical axis (degrees, counterclockwise seen from above);
+// the wheels on each side roll by the distance their track covers
+function turnTank(nodesByName, degrees) {
+    const tank = nodesByName["tank"];
+    if (!tank) return;
+    tank.rotation[1] += degrees;
+    const angle = degrees * Math.PI / 180;
+    updateWheelRotation(nodesByName,
+        angle * trackOffset(nodesByName, "wheelsRootLeft") * WHEEL_DEGREES_PER_UNIT,
+        angle * trackOffset(nodesByName, "wheelsRootRight") * WHEEL_DEGREES_PER_UNIT);
+}
+
+// update wheel rotation when tank moves (degrees, for each side)
+function updateWheelRotation(nodesByName, leftDegrees, rightDegrees = leftDegrees) {
+    const sides = { wheelsRootLeft: leftDegrees, wheelsRootRight: rightDegrees };
+    for (let root in sides) {
+        const wheels = nodesByName[root];
+        if (!wheels || !wheels.children) continue;
+        for (let wheel of wheels.children) {
+            wheel.rotation[1] = (wheel.rotation[1] + sides[root]) % 360;
+        }
+    }
+}
+
+// signed distance of a wheel set from the hull center, along the hull's local z axis
+// (a point at z moves forward by yawRate * z when the hull turns)
+function trackOffset(nodesByName, rootName) {
+    const tank = nodesByName["tank"];
+    const root = nodesByName[rootName];
+    if (!tank || !root) return 0;
+    const T = getWorldMatrix(tank);
+    const R = getWorldMatrix(root);
+    const axis = normalize(vec3(T[0][2], T[1][2], T[2][2]));
+    const d = [R[0][3] - T[0][3], R[1][3] - T[1][3], R[2][3] - T[2][3]];
+    return d[0] * axis[0] + d[1] * axis[1] + d[2] * axis[2];
+}
+
+/**
+ * Driving state: throttle and steering are the commands, in [-1, 1]
+ * (forward and counterclockwise are positive); speed and turn rate follow them
+ * with the accelerations of DRIVE. cabin and pitch command the turret the same
+ * way (counterclockwise and up are positive), turning it at the rates of DRIVE.
+ * lastStep holds the fields the last step changed, from and to, for interpolateDrive().
+ */
+function createDrive() {
+    return { throttle: 0, steering: 0, cabin: 0, pitch: 0, speed: 0, turnRate: 0, lastStep: [] };
+}
+
+// transform fields the drive changes: the hull, the turret and the wheels ({ node, field })
+function drivenFields(nodesByName) {
+    const fields = [];
+    for (let [name, field] of [["tank", "translation"], ["tank", "rotation"], ["cabin", "rotation"], ["cannon_base", "rotation"]]) {
+        if (nodesByName[name]) fields.push({ node: nodesByName[name], field });
+    }
+    for (let root of ["wheelsRootLeft", "wheelsRootRight"]) {
+        const wheels = nodesByName[root];
+        if (wheels && wheels.children) wheels.children.forEach(node => fields.push({ node, field: "rotation" }));
+    }
+    return fields;
+}
+
+// move value towards target, by at most step
+function approach(value, target, step) {
+    return value < target ? Math.min(value + step, target) : Math.max(value - step, target);
+}
+
+// speed up or slow down towards a target, slowing down faster than speeding up
+function accelerate(value, target, acceleration, deceleration, dt) {
+    const slowing = Math.abs(target) < Math.abs(value) || target * value < 0;
+    return approach(value, target, (slowing ? deceleration : acceleration) * dt);
+}
+
+/**
+ * Advances the drive by dt seconds: moves the tank and turns the turret.
+ */
+function updateDrive(nodesByName, drive, dt) {
+    const fields = drivenFields(nodesByName);
+    fields.forEach(f => { f.from = f.node[f.field].slice(); });
+    drive.speed = accelerate(drive.speed, drive.throttle * DRIVE.maxSpeed,
+        DRIVE.acceleration, DRIVE.deceleration, dt);
+    drive.turnRate = accelerate(drive.turnRate, drive.steering * DRIVE.maxTurnRate,
+        DRIVE.turnAcceleration, DRIVE.turnAcceleration, dt);
+    if (drive.turnRate) turnTank(nodesByName, drive.turnRate * dt);
+    if (drive.speed) moveTank(nodesByName, drive.speed * dt);
+    if (drive.cabin) rotateCabin(nodesByName, drive.cabin * DRIVE.cabinRate * dt);
+    if (drive.pitch) pitchCannon(nodesByName, drive.pitch * DRIVE.cannonRate * dt);
+    fields.forEach(f => { f.to = f.node[f.field].slice(); });
+    drive.lastStep = fields;
+}
+
+/**
+ * Shows the tank between the last two steps, as tomatoPosition() does for the
+ * tomatoes: the fields the last step changed are moved back by (1 - alpha) of
+ * that step. Changes made since (inspector, gizmos) are kept.
+ * @param {number} alpha 0 for the previous step, 1 for the current one
+ * @returns {function} puts the fields back to the current step (call it after drawing)
+ */
+function interpolateDrive(drive, alpha) {
+    const saved = [];
+    for (let { node, field, from, to } of drive.lastStep) {
+        const value = node[field];
+        const shown = value.map((x, i) => {
+            let d = to[i] - from[i];
+            // the wheels wrap around at 360 degrees
+            if (field == "rotation") d = ((d + 180) % 360 + 360) % 360 - 180;
+            return x - d * (1 - alpha);
+        });
+        if (shown.every((x, i) => x === value[i])) continue;
+        saved.push([value, value.slice()]);
+        shown.forEach((x, i) => { value[i] = x; });
+    }
+    return () => saved.forEach(([value, old]) => old.forEach((x, i) => { value[i] = x; }));
+}
+
+/**
+ * Cannon tip position and direction in world coordinates.
+ * @returns {{tip: number[], dir: number[]}|null} null when the scene has no cannon
+ */
+function getCannonPose(nodesByName) {
+    const cannon = nodesByName["cannon"];
+    if (!cannon) return null;
+    const M = getWorldMatrix(cannon); // world matrix of the cannon (unit cylinder scaled to the barrel)
+    const tip4 = mult(M, vec4(0, -0.5, 0, 1)); // cannon tip position (in homogenous coords)
+    const dir4 = mult(M, vec4(0, -1, 0, 0));  // cannon direction vector (in homogenous coords)
+    const tip = vec3(tip4[0], tip4[1], tip4[2]);
+    const dir = normalize(vec3(dir4[0], dir4[1], dir4[2]));
+    return { tip, dir };
+}
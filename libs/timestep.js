@@ -0,0 +1,75 @@
+/**
+ * timestep.js
+ *
+ * Fixed-timestep simulation loop. Real elapsed time is accumulated every frame
+ * and the simulation advances in steps of constant size, so it runs at the same
+ * speed whatever the display refresh rate. What is left in the accumulator
+ * (alpha, in [0, 1)) interpolates the rendered state between the last two steps.
+ */
+export {
+    createFixedStepLoop
+}
+
+const DEFAULTS = {
+    step: 0.005,            // simulated seconds per step
+    rate: 1,                // simulated seconds per real second
+    timeScale: 1,           // slow motion factor (on top of rate)
+    maxFrameTime: 0.25,     // longer frames (e.g. a hidden tab) are cut to this (seconds)
+    deterministic: false,   // ignore the real time, every frame lasts frameTime
+    frameTime: 1 / 60
+};
+
+/**
+ * Creates a fixed-timestep loop.
+ * @param {function(number)} update advances the simulation by one step (receives the step size)
+ * @param {object} options overrides for DEFAULTS
+ * @returns {object} the loop; call advance(dt) once per frame
+ */
+function createFixedStepLoop(update, options = {}) {
+    const opts = { ...DEFAULTS, ...options };
+
+    const loop = {
+        step: opts.step,
+        rate: opts.rate,
+        timeScale: opts.timeScale,
+        deterministic: opts.deterministic,
+        paused: false,
+        time: 0,            // simulated time
+        steps: 0,           // steps taken so far
+        alpha: 0,           // interpolation factor between the last two steps
+        advance, stepOnce, togglePause
+    };
+    let accumulator = 0;
+
+    // add a frame of dt real seconds and run the steps that fit in the accumulator;
+    // returns the number of steps taken
+    function advance(dt) {
+        if (loop.paused) return 0;
+        const frame = loop.deterministic ? opts.frameTime : Math.min(Math.max(dt, 0), opts.maxFrameTime);
+        accumulator += frame * loop.rate * loop.timeScale;
+        let n = 0;
+        while (accumulator >= loop.step) {
+            accumulator -= loop.step;
+            stepOnce();
+            n++;
+        }
+        loop.alpha = accumulator / loop.step;
+        return n;
+    }
+
+    // run a single step (also while paused)
+    function stepOnce() {
+        update(loop.step);
+        loop.time += loop.step;
+        loop.steps++;
+    }
+
+    function togglePause() {
+        loop.paused = !loop.paused;
+        // a step made while paused is shown as is
+        if (loop.paused) loop.alpha = 1;
+        accumulator = 0;
+    }
+
+    return loop;
+}
@@ -0,0 +1,194 @@
+/**
+ * touch.js
+ *
+ * On-screen controls for touch screens, built on Pointer Events (so mouse and
+ * pen work too): two virtual joysticks and a few buttons, plus two-finger
+ * gestures on the canvas.
+ *
+ * The joysticks and buttons behave as a virtual gamepad in the standard
+ * layout ({ axes, buttons }), read through libs/gamepad.js like a real one:
+ * the left stick drives, the right stick turns the cabin and pitches the cannon.
+ */
+import { DEFAULT_GAMEPAD_MAPPING } from "./gamepad.js";
+
+export {
+    TOUCH_BUTTONS, TOUCH_MAPPING, createTouchControls, createTouchGestures
+}
+
+// on-screen buttons: label, button index in the virtual gamepad and action
+const TOUCH_BUTTONS = [
+    { label: "Fire", button: 7, action: "fire" },
+    { label: "View", button: 3, action: "nextView" }
+];
+
+// mapping of the virtual gamepad (for readGamepad): the sticks of a real one
+const TOUCH_MAPPING = {
+    axes: DEFAULT_GAMEPAD_MAPPING.axes,
+    buttons: TOUCH_BUTTONS.map(({ button, action }) => ({ button, action }))
+};
+
+// joystick size relative to the smaller side of the viewport, and its limits (pixels)
+const STICK_SIZE = 0.24;
+const STICK_MIN = 90;
+const STICK_MAX = 170;
+
+/**
+ * Adds the joysticks and buttons to a container.
+ * They show on devices with a touch screen, or once a touch is seen.
+ * @param {HTMLElement} container usually document.body
+ * @returns {object} { pad, layout(width, height), element }: pad is the virtual
+ *   gamepad, layout sizes the controls for a viewport
+ */
+function createTouchControls(container) {
+    const element = document.createElement("div");
+    element.id = "touchControls";
+    element.hidden = !(window.matchMedia && window.matchMedia("(any-pointer: coarse)").matches);
+    container.append(element);
+
+    const pad = {
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }))
+    };
+
+    const left = createStick(element, "left", (x, y) => { pad.axes[0] = x; pad.axes[1] = y; });
+    const right = createStick(element, "right", (x, y) => { pad.axes[2] = x; pad.axes[3] = y; });
+
+    const buttons = document.createElement("div");
+    buttons.className = "touch-buttons";
+    element.append(buttons);
+    for (let { label, button } of TOUCH_BUTTONS) {
+        const el = document.createElement("button");
+        el.className = "touch-button";
+        el.textContent = label;
+        const set = pressed => event => {
+            event.preventDefault();
+            pad.buttons[button] = { pressed, value: pressed ? 1 : 0 };
+            if (pressed) el.setPointerCapture(event.pointerId);
+        };
+        el.addEventListener("pointerdown", set(true));
+        el.addEventListener("pointerup", set(false));
+        el.addEventListener("pointercancel", set(false));
+        buttons.append(el);
+    }
+
+    // show the controls on the first touch anywhere
+    window.addEventListener("pointerdown", function (event) {
+        if (event.pointerType == "touch") element.hidden = false;
+    });
+
+    // size the sticks for a viewport; buttons go above the right stick
+    function layout(width, height) {
+        const size = Math.round(Math.min(Math.max(STICK_SIZE * Math.min(width, height), STICK_MIN), STICK_MAX));
+        const margin = Math.round(size / 6);
+        for (let stick of [left, right]) {
+            stick.base.style.width = stick.base.style.height = size + "px";
+            stick.base.style.bottom = margin + "px";
+        }
+        left.base.style.left = margin + "px";
+        right.base.style.right = margin + "px";
+        buttons.style.right = margin + "px";
+        buttons.style.bottom = (2 * margin + size) + "px";
+        // side by side on wide screens, stacked on narrow ones
+        buttons.style.flexDirection = width > height ? "row" : "column";
+    }
+
+    return { pad, layout, element };
+}
+
+// a joystick: dragging the knob reports its offset in [-1, 1]^2 (y down)
+function createStick(parent, side, onMove) {
+    const base = document.createElement("div");
+    base.className = "touch-stick " + side;
+    const knob = document.createElement("div");
+    knob.className = "touch-knob";
+    base.append(knob);
+    parent.append(base);
+
+    let pointer = null;
+
+    function move(event) {
+        const rect = base.getBoundingClientRect();
+        const r = rect.width / 2;
+        let x = (event.clientX - rect.left - r) / r;
+        let y = (event.clientY - rect.top - r) / r;
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+            x /= length;
+            y /= length;
+        }
+        knob.style.transform = `translate(${x * r / 2}px, ${y * r / 2}px)`;
+        onMove(x, y);
+    }
+
+    function release(event) {
+        if (event.pointerId != pointer) return;
+        pointer = null;
+        knob.style.transform = "";
+        onMove(0, 0);
+    }
+
+    base.addEventListener("pointerdown", function (event) {
+        if (pointer != null) return;
+        event.preventDefault();
+        pointer = event.pointerId;
+        base.setPointerCapture(pointer);
+        move(event);
+    });
+    base.addEventListener("pointermove", function (event) {
+        if (event.pointerId == pointer) move(event);
+    });
+    base.addEventListener("pointerup", release);
+    base.addEventListener("pointercancel", release);
+
+    return { base, knob };
+}
+
+/**
+ * Two-finger gestures on an element (touch pointers only; the mouse keeps its
+ * own controls): pinching reports the change of the distance between the
+ * fingers, moving both fingers reports the motion of their midpoint.
+ * @param {HTMLElement} element
+ * @param {object} handlers
+ *   onPinch(factor):  distance now / distance before (> 1 when spreading)
+ *   onDrag(dx, dy):   midpoint motion (pixels)
+ */
+function createTouchGestures(element, handlers) {
+    const { onPinch = () => {}, onDrag = () => {} } = handlers;
+    const touches = new Map();      // pointerId -> [x, y]
+    let last = null;                // { distance, mid } of the two fingers
+
+    function measure() {
+        const [a, b] = [...touches.values()];
+        return {
+            distance: Math.hypot(a[0] - b[0], a[1] - b[1]),
+            mid: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]
+        };
+    }
+
+    element.addEventListener("pointerdown", function (event) {
+        if (event.pointerType != "touch") return;
+        touches.set(event.pointerId, [event.clientX, event.clientY]);
+        last = touches.size == 2 ? measure() : null;
+    });
+
+    element.addEventListener("pointermove", function (event) {
+        if (!touches.has(event.pointerId)) return;
+        touches.set(event.pointerId, [event.clientX, event.clientY]);
+        if (touches.size != 2 || !last) return;
+        const now = measure();
+        if (last.distance > 0 && now.distance > 0) onPinch(now.distance / last.distance);
+        onDrag(now.mid[0] - last.mid[0], now.mid[1] - last.mid[1]);
+        last = now;
+    });
+
+    function end(event) {
+        touches.delete(event.pointerId);
+        last = touches.size == 2 ? measure() : null;
+    }
+    element.addEventListener("pointerup", end);
+    element.addEventListener("pointercancel", end);
+
+    // let the page handle no touch gesture itself (scrolling, browser zoom)
+    element.style.touchAction = "none";
+}
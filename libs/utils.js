@@ -4,6 +4,8 @@
  * @author: Fernando Birra
  */
 
+import { flatten } from "./MV.js";
+
 /**
  * Creates the HTLM for a failure message
  * @param {string} canvasContainerId id of container of th
@@ -141,30 +143,143 @@ export function loadShadersFromScripts(ids) {
 }
 
 /**
- * 
- * @param {WebGL2RenderingContext} gl 
- * @param {string} vShaderSrc 
- * @param {string} fShaderSrc 
- * @returns {WebGLProgram}
+ * Thrown when a program cannot be built.
+ */
+export class ShaderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ShaderError";
+  }
+}
+
+/**
+ * Thrown when a shader does not compile.
+ * diagnostics holds the info log parsed into { line, message } entries
+ * (line is null for messages without one) and annotated the offending
+ * source lines with their messages.
+ */
+export class ShaderCompileError extends ShaderError {
+  constructor(stage, log, source, name) {
+    const diagnostics = parseShaderLog(log);
+    const annotated = annotateShaderSource(source, diagnostics);
+    super("Could not compile " + stage + " shader" + (name ? " " + name : "") + ":\n" + annotated);
+    this.name = "ShaderCompileError";
+    this.stage = stage;
+    this.log = log;
+    this.source = source;
+    this.diagnostics = diagnostics;
+    this.annotated = annotated;
+  }
+}
+
+/**
+ * Thrown when the shaders compile but the program does not link.
  */
-export function buildProgramFromSources(gl, vShaderSrc, fShaderSrc, trfFeedbackVaryings) {
-  function getShader(gl, shaderSrc, type) {
-    var shader = gl.createShader(type);
-    if (!shaderSrc) {
-      alert("Could not find shader source");
+export class ProgramLinkError extends ShaderError {
+  constructor(log) {
+    super("Could not link program:\n" + log);
+    this.name = "ProgramLinkError";
+    this.log = log;
+  }
+}
+
+/**
+ * Parses a shader info log ("ERROR: 0:12: 'x' : undeclared identifier").
+ * @param {string} log 
+ * @returns {{line: number, message: string}[]}
+ */
+export function parseShaderLog(log) {
+  const diagnostics = [];
+  for (let entry of (log || "").split("\n")) {
+    entry = entry.trim().replace(/\0/g, "");
+    if (!entry) continue;
+    const match = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(entry);
+    if (match) {
+      diagnostics.push({ line: Number(match[1]), message: match[2] });
+    } else {
+      diagnostics.push({ line: null, message: entry });
     }
-    gl.shaderSource(shader, shaderSrc);
-    gl.compileShader(shader);
+  }
+  return diagnostics;
+}
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-      alert(gl.getShaderInfoLog(shader));
-      return null;
+/**
+ * Lists the source lines with diagnostics (and some context around them),
+ * marking each offending line and printing its messages under it.
+ * @param {string} source 
+ * @param {{line: number, message: string}[]} diagnostics 
+ * @param {number} context lines shown before and after each offending line
+ * @returns {string}
+ */
+export function annotateShaderSource(source, diagnostics, context = 2) {
+  const lines = (source || "").split(/\r?\n/);
+  const byLine = new Map();
+  const general = [];
+  for (let d of diagnostics) {
+    if (d.line == null || d.line < 1 || d.line > lines.length) {
+      general.push(d.message);
+    } else {
+      if (!byLine.has(d.line)) byLine.set(d.line, []);
+      byLine.get(d.line).push(d.message);
     }
-    return shader;
   }
-  var vertexShader = getShader(gl, vShaderSrc, gl.VERTEX_SHADER),
-    fragmentShader = getShader(gl, fShaderSrc, gl.FRAGMENT_SHADER),
-    program = gl.createProgram();
+
+  const shown = new Set();
+  for (let line of byLine.keys()) {
+    for (let i = Math.max(1, line - context); i <= Math.min(lines.length, line + context); i++) {
+      shown.add(i);
+    }
+  }
+
+  const width = String(lines.length).length;
+  const out = general.slice();
+  let previous = 0;
+  for (let i of [...shown].sort((a, b) => a - b)) {
+    if (previous && i > previous + 1) out.push("...");
+    const marker = byLine.has(i) ? ">> " : "   ";
+    out.push(marker + String(i).padStart(width) + " | " + lines[i - 1]);
+    if (byLine.has(i)) {
+      for (let message of byLine.get(i)) {
+        out.push("   " + " ".repeat(width) + " | ^ " + message);
+      }
+    }
+    previous = i;
+  }
+  return out.join("\n");
+}
+
+// compiles a shader, throwing a ShaderCompileError on failure
+function compileShader(gl, shaderSrc, type, name) {
+  const stage = type == gl.VERTEX_SHADER ? "vertex" : "fragment";
+  if (!shaderSrc) {
+    throw new ShaderError("Could not find " + stage + " shader source" + (name ? " " + name : ""));
+  }
+  var shader = gl.createShader(type);
+  gl.shaderSource(shader, shaderSrc);
+  gl.compileShader(shader);
+
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new ShaderCompileError(stage, log, shaderSrc, name);
+  }
+  return shader;
+}
+
+// compiles both shaders of a program; the vertex shader is deleted if the fragment one fails
+function compileShaders(gl, vShaderSrc, fShaderSrc, names = []) {
+  const vertexShader = compileShader(gl, vShaderSrc, gl.VERTEX_SHADER, names[0]);
+  try {
+    return [vertexShader, compileShader(gl, fShaderSrc, gl.FRAGMENT_SHADER, names[1])];
+  } catch (e) {
+    gl.deleteShader(vertexShader);
+    throw e;
+  }
+}
+
+// links a program, throwing a ProgramLinkError on failure
+function linkProgram(gl, vertexShader, fragmentShader, trfFeedbackVaryings) {
+  var program = gl.createProgram();
 
   gl.attachShader(program, vertexShader);
   gl.attachShader(program, fragmentShader);
@@ -176,50 +291,158 @@ export function buildProgramFromSources(gl, vShaderSrc, fShaderSrc, trfFeedbackV
   gl.linkProgram(program);
 
   if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    alert("Could not initialise shaders: " + gl.getProgramInfoLog(program));
-    return null;
+    const log = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
+    throw new ProgramLinkError(log);
   }
 
-
   return program;
-};
+}
 
 /**
  * 
- * @param {WebGLRenderingContext} gl 
- * @param {string} vShaderElem 
- * @param {string} fShaderElem 
+ * @param {WebGL2RenderingContext} gl 
+ * @param {string} vShaderSrc 
+ * @param {string} fShaderSrc 
+ * @param {string[]} names optional names of the shaders, for error messages
  * @returns {WebGLProgram}
+ * @throws {ShaderError} (ShaderCompileError or ProgramLinkError) if the program cannot be built
  */
-export function buildProgramFromScripts(gl, vShaderElem, fShaderElem) {
-  function getShader(gl, shaderElem, type) {
-    var shader = gl.createShader(type);
-    var shaderSrc = document.getElementById(shaderElem).text;
-    if (!shaderSrc) {
-      alert("Could not find shader source");
+export function buildProgramFromSources(gl, vShaderSrc, fShaderSrc, trfFeedbackVaryings, names = []) {
+  var [vertexShader, fragmentShader] = compileShaders(gl, vShaderSrc, fShaderSrc, names);
+
+  return linkProgram(gl, vertexShader, fragmentShader, trfFeedbackVaryings);
+};
+
+/**
+ * Compiles and links a program and wraps it with cached uniform and
+ * attribute locations and typed uniform setters.
+ * Setters take MV.js values (matrices are flattened) and silently skip
+ * uniforms the compiler optimized away.
+ * @param {WebGL2RenderingContext} gl 
+ * @param {string} vShaderSrc 
+ * @param {string} fShaderSrc 
+ * @param {string[]} names optional names of the shaders, for error messages
+ * @returns {Program}
+ */
+export function createProgram(gl, vShaderSrc, fShaderSrc, trfFeedbackVaryings, names) {
+  return new Program(gl, buildProgramFromSources(gl, vShaderSrc, fShaderSrc, trfFeedbackVaryings, names));
+}
+
+/**
+ * A linked WebGL program with cached locations.
+ */
+export class Program {
+  /**
+   * @param {WebGL2RenderingContext} gl 
+   * @param {WebGLProgram} program a linked program
+   */
+  constructor(gl, program) {
+    this.gl = gl;
+    this.program = program;
+    this.uniforms = new Map();
+    this.attributes = new Map();
+  }
+
+  use() {
+    this.gl.useProgram(this.program);
+  }
+
+  /**
+   * @param {string} name 
+   * @returns {WebGLUniformLocation} null if the program has no such uniform
+   */
+  uniform(name) {
+    let location = this.uniforms.get(name);
+    if (location === undefined) {
+      location = this.gl.getUniformLocation(this.program, name);
+      this.uniforms.set(name, location);
     }
-    gl.shaderSource(shader, shaderSrc);
-    gl.compileShader(shader);
+    return location;
+  }
 
-    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-      alert(gl.getShaderInfoLog(shader));
-      return null;
+  /**
+   * @param {string} name 
+   * @returns {number} -1 if the program has no such attribute
+   */
+  attribute(name) {
+    let location = this.attributes.get(name);
+    if (location === undefined) {
+      location = this.gl.getAttribLocation(this.program, name);
+      this.attributes.set(name, location);
     }
-    return shader;
+    return location;
   }
-  var vertexShader = getShader(gl, vShaderElem, gl.VERTEX_SHADER),
-    fragmentShader = getShader(gl, fShaderElem, gl.FRAGMENT_SHADER),
-    program = gl.createProgram();
 
-  gl.attachShader(program, vertexShader);
-  gl.attachShader(program, fragmentShader);
-  gl.linkProgram(program);
+  setMat4(name, m) {
+    this.gl.uniformMatrix4fv(this.uniform(name), false, flatten(m));
+  }
 
-  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-    alert("Could not initialise shaders");
-    return null;
+  setMat3(name, m) {
+    this.gl.uniformMatrix3fv(this.uniform(name), false, flatten(m));
   }
 
+  setVec4(name, v) {
+    this.gl.uniform4fv(this.uniform(name), v);
+  }
 
-  return program;
-};
\ No newline at end of file
+  setVec3(name, v) {
+    this.gl.uniform3fv(this.uniform(name), v);
+  }
+
+  setVec2(name, v) {
+    this.gl.uniform2fv(this.uniform(name), v);
+  }
+
+  setFloat(name, x) {
+    this.gl.uniform1f(this.uniform(name), x);
+  }
+
+  setInt(name, i) {
+    this.gl.uniform1i(this.uniform(name), i);
+  }
+
+  setBool(name, b) {
+    this.gl.uniform1i(this.uniform(name), b ? 1 : 0);
+  }
+}
+
+/**
+ * 
+ * @param {WebGLRenderingContext} gl 
+ * @param {string} vShaderElem 
+ * @param {string} fShaderElem 
+ * @returns {WebGLProgram}
+ */
+export function buildProgramFromScripts(gl, vShaderElem, fShaderElem) {
+  var [vertexShader, fragmentShader] = compileShaders(gl, document.getElementById(vShaderElem).text,
+    document.getElementById(fShaderElem).text, [vShaderElem, fShaderElem]);
+
+  return linkProgram(gl, vertexShader, fragmentShader);
+};
+
+/**
+ * Shows an error on top of the page (instead of a modal alert).
+ * Shader errors show their annotated source; other errors their message.
+ * @param {Error} error 
+ */
+export function showErrorOverlay(error) {
+  let overlay = document.getElementById("errorOverlay");
+  if (!overlay) {
+    overlay = document.createElement("div");
+    overlay.id = "errorOverlay";
+    const close = document.createElement("button");
+    close.className = "error-close";
+    close.textContent = "\u00d7";
+    close.title = "Dismiss";
+    close.onclick = () => overlay.remove();
+    overlay.appendChild(close);
+    document.body.appendChild(overlay);
+  }
+  const entry = document.createElement("pre");
+  entry.className = "error-entry";
+  entry.textContent = (error && error.name ? error.name + ": " : "") + (error && error.message ? error.message : String(error));
+  overlay.appendChild(entry);
+}
\ No newline at end of file
@@ -0,0 +1,11 @@
+#version 300 es
+
+precision mediump float;
+
+// unlit color (wireframe edges, helpers)
+uniform vec4 u_color;
+out vec4 color;
+
+void main() {
+    color = u_color;
+}
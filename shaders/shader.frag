@@ -2,9 +2,79 @@
 
 precision mediump float;
 
+const int MAX_LIGHTS = 8;
+const int MAX_SPLATS = 32;
+
+struct LightInfo {
+    vec4 pos;           // camera coordinates (w = 0 for directional lights)
+    vec3 ambient;
+    vec3 diffuse;
+    vec3 specular;
+};
+
+struct MaterialInfo {
+    vec3 Ka;
+    vec3 Kd;
+    vec3 Ks;
+    float shininess;
+};
+
+uniform int u_n_lights;
+uniform LightInfo u_lights[MAX_LIGHTS];
+uniform MaterialInfo u_material;
+uniform bool u_vertex_color;    // true takes the ambient and diffuse colors from v_color
 uniform vec4 u_color;
+
+// tomato splats: surfaces closer than a splat's radius to its center take its color
+uniform int u_n_splats;
+uniform vec4 u_splats[MAX_SPLATS];          // center (camera coordinates) and radius
+uniform float u_splat_opacity[MAX_SPLATS];
+uniform vec3 u_splat_color;
+
+in vec3 v_position;
+in vec3 v_normal;
+in vec4 v_color;
+
 out vec4 color;
 
 void main() {
-    color = u_color;
-}
\ No newline at end of file
+    vec3 Ka = u_vertex_color ? v_color.rgb : u_material.Ka;
+    vec3 Kd = u_vertex_color ? v_color.rgb : u_material.Kd;
+
+    float splat = 0.0;
+    for (int i = 0; i < MAX_SPLATS; i++) {
+        if (i == u_n_splats) break;
+        float d = length(v_position - u_splats[i].xyz) / u_splats[i].w;
+        splat = max(splat, u_splat_opacity[i] * (1.0 - smoothstep(0.8, 1.0, d)));    // soft edge
+    }
+    Ka = mix(Ka, u_splat_color, splat);
+    Kd = mix(Kd, u_splat_color, splat);
+
+    vec3 N = normalize(v_normal);
+    vec3 V = normalize(-v_position);    // the eye is at the origin
+    vec3 result = vec3(0.0);
+
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i == u_n_lights) break;
+
+        LightInfo light = u_lights[i];
+        vec3 L;
+        if (light.pos.w == 0.0) {
+            L = normalize(light.pos.xyz);
+        } else {
+            L = normalize(light.pos.xyz - v_position);
+        }
+        vec3 H = normalize(L + V);
+
+        float diffuseFactor = max(dot(L, N), 0.0);
+        float specularFactor = pow(max(dot(N, H), 0.0), u_material.shininess);
+        // no highlights on faces turned away from the light
+        if (diffuseFactor == 0.0) specularFactor = 0.0;
+
+        result += light.ambient * Ka
+            + light.diffuse * Kd * diffuseFactor
+            + light.specular * u_material.Ks * specularFactor;
+    }
+
+    color = vec4(result, u_color.a);
+}
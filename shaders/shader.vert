@@ -2,9 +2,20 @@
 
 uniform mat4 u_model_view;
 uniform mat4 u_projection;
+uniform mat3 u_normals;
 
-in vec4 a_position;
+layout(location = 0) in vec4 a_position;
+layout(location = 1) in vec3 a_normal;
+layout(location = 2) in vec4 a_color;   // only meshes with per-vertex colors (the ground)
+
+out vec3 v_position;    // fragment position in camera coordinates
+out vec3 v_normal;      // fragment normal in camera coordinates
+out vec4 v_color;
 
 void main() {
-    gl_Position = u_projection * u_model_view * a_position;
-}
\ No newline at end of file
+    vec4 pos = u_model_view * a_position;
+    v_position = pos.xyz;
+    v_normal = u_normals * a_normal;
+    v_color = a_color;
+    gl_Position = u_projection * pos;
+}
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sweepSpherePlane, sweepSphereHole } from "../libs/collision.js";
+
+const R = 0.08;
+const HOLE = { center: [1, 0, -2], radius: 0.5, depth: 0.4, height: 0 };
+const near = (a, b, epsilon = 1e-6) => Math.abs(a - b) < epsilon;
+
+test("far from the hole the ground is hit like the plane", () => {
+    const p0 = [4, 1, 4];
+    const p1 = [4.2, -0.5, 4];
+    const plane = sweepSpherePlane(p0, p1, R, 0);
+    const contact = sweepSphereHole(p0, p1, R, HOLE);
+    assert.equal(contact.part, "ground");
+    assert.ok(near(contact.t, plane.t));
+    assert.deepEqual(contact.point.map(x => +x.toFixed(6)), plane.point.map(x => +x.toFixed(6)));
+    assert.deepEqual(contact.normal.map(x => +x.toFixed(6)), [0, 1, 0]);
+});
+
+test("a sphere dropped on the axis reaches the bottom", () => {
+    const contact = sweepSphereHole([1, 1, -2], [1, -1, -2], R, HOLE);
+    assert.equal(contact.part, "bottom");
+    assert.ok(near(contact.point[1], -0.4));
+    // the center stops one radius above the bottom
+    assert.ok(near(1 + (-1 - 1) * contact.t, -0.4 + R));
+});
+
+test("a sphere moving sideways under the ground hits the wall", () => {
+    const contact = sweepSphereHole([1, -0.2, -2], [2, -0.2, -2], R, HOLE);
+    assert.equal(contact.part, "wall");
+    assert.ok(near(contact.point[0], 1.5));
+    assert.deepEqual(contact.normal.map(x => +x.toFixed(6)), [-1, 0, 0]);
+});
+
+test("a sphere coming down just inside the edge touches the rim", () => {
+    const contact = sweepSphereHole([1.48, 1, -2], [1.48, -1, -2], R, HOLE);
+    assert.equal(contact.part, "rim");
+    assert.ok(near(Math.hypot(contact.point[0] - 1, contact.point[2] + 2), 0.5));
+    assert.ok(near(contact.point[1], 0));
+});
+
+test("a sphere coming down just outside the edge lands on the ground", () => {
+    const contact = sweepSphereHole([1.52, 1, -2], [1.52, -1, -2], R, HOLE);
+    assert.equal(contact.part, "ground");
+    assert.ok(near(contact.point[0], 1.52));
+});
+
+test("fast spheres do not tunnel through the ground or the bottom", () => {
+    assert.equal(sweepSphereHole([3, 5, 3], [3, -5, 3], R, HOLE).part, "ground");
+    assert.equal(sweepSphereHole([1, 5, -2], [1, -5, -2], R, HOLE).part, "bottom");
+});
+
+test("spheres above the ground or moving away are not stopped", () => {
+    assert.equal(sweepSphereHole([0, 1, 0], [1, 0.5, 0], R, HOLE), null);
+    assert.equal(sweepSphereHole([4, R / 2, 4], [4, 1, 4], R, HOLE), null);
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    handleKey, handleKeyUp, applyHeldActions, createViewState,
+    DEFAULT_BINDINGS, FOURTH_VIEW
+} from "../libs/controls.js";
+import { createInput } from "../libs/input.js";
+import { createGame, createMemoryStorage, createSeededRandom } from "../libs/game.js";
+import { createDrive, updateDrive, DRIVE, CANNON_ROTATION_UPPER_LIMIT } from "../libs/tank.js";
+import { createFixedStepLoop } from "../libs/timestep.js";
+import { loadShippedScene } from "./helpers.js";
+
+// what the application gives the actions, without a canvas
+function createContext() {
+    const { nodesByName } = loadShippedScene();
+    return {
+        view: createViewState(),
+        orbit: { rotate() {}, reset() {} },
+        nodesByName,
+        game: createGame({ storage: createMemoryStorage(), random: createSeededRandom(1) }),
+        loop: { paused: false, togglePause() { this.paused = !this.paused; } },
+        drive: createDrive()
+    };
+}
+
+test("view keys select views", () => {
+    const ctx = createContext();
+    const input = createInput(DEFAULT_BINDINGS);
+    assert.equal(handleKey(ctx, input, "4"), "fourthView");
+    assert.equal(ctx.view.current, FOURTH_VIEW);
+    handleKey(ctx, input, "0");
+    assert.equal(ctx.view.multi, true);
+});
+
+test("a held key runs its press action once", () => {
+    const ctx = createContext();
+    const input = createInput(DEFAULT_BINDINGS);
+    handleKey(ctx, input, "p");
+    assert.equal(handleKey(ctx, input, "p"), null, "auto-repeat");
+    assert.equal(ctx.loop.paused, true);
+    handleKeyUp(ctx, input, "p");
+    handleKey(ctx, input, "p");
+    assert.equal(ctx.loop.paused, false);
+});
+
+test("the fire key launches a tomato from the cannon", () => {
+    const ctx = createContext();
+    const input = createInput(DEFAULT_BINDINGS);
+    handleKey(ctx, input, "z");
+    assert.equal(ctx.game.tomatoes.length, 1);
+});
+
+test("held keys drive the tank while they are down", () => {
+    const ctx = createContext();
+    const input = createInput(DEFAULT_BINDINGS);
+    handleKey(ctx, input, "q");
+    handleKey(ctx, input, "j");
+    applyHeldActions(ctx, input, 0.1);
+    assert.equal(ctx.drive.throttle, 1);
+    assert.equal(ctx.drive.steering, 1);
+
+    handleKeyUp(ctx, input, "q");
+    handleKeyUp(ctx, input, "j");
+    applyHeldActions(ctx, input, 0.1);
+    assert.equal(ctx.drive.throttle, 0);
+    assert.equal(ctx.drive.steering, 0);
+});
+
+// the application's simulation loop: the drive is applied in every step
+function simulate(ctx, options = {}) {
+    return createFixedStepLoop(dt => updateDrive(ctx.nodesByName, ctx.drive, dt), { step: 0.005, ...options });
+}
+
+test("held turret keys only set the commands, the simulation turns the turret", () => {
+    const ctx = createContext();
+    const input = createInput(DEFAULT_BINDINGS);
+    const start = ctx.nodesByName.cabin.rotation[1];
+    handleKey(ctx, input, "a");
+    handleKey(ctx, input, "w");
+    applyHeldActions(ctx, input, 0.1);
+    assert.equal(ctx.drive.cabin, 1);
+    assert.equal(ctx.drive.pitch, 1);
+    assert.equal(ctx.nodesByName.cabin.rotation[1], start);
+
+    const steps = simulate(ctx).advance(0.1);
+    assert.ok(steps > 0);
+    assert.ok(Math.abs(ctx.nodesByName.cabin.rotation[1] - (start + DRIVE.cabinRate * steps * 0.005)) < 1e-9);
+});
+
+test("the turret does not turn while the simulation is paused", () => {
+    const ctx = createContext();
+    const input = createInput(DEFAULT_BINDINGS);
+    const loop = simulate(ctx);
+    const cabin = ctx.nodesByName.cabin.rotation[1];
+    const pitch = ctx.nodesByName.cannon_base.rotation[2];
+    loop.togglePause();
+    handleKey(ctx, input, "d");
+    handleKey(ctx, input, "s");
+    for (let i = 0; i < 10; i++) {
+        applyHeldActions(ctx, input, 0.1);
+        loop.advance(0.1);
+    }
+    assert.equal(ctx.nodesByName.cabin.rotation[1], cabin);
+    assert.equal(ctx.nodesByName.cannon_base.rotation[2], pitch);
+});
+
+test("the turret slows down with the simulation", () => {
+    const normal = createContext();
+    const slow = createContext();
+    for (let ctx of [normal, slow]) ctx.drive.cabin = 1;
+    const normalSteps = simulate(normal).advance(0.2);
+    const slowSteps = simulate(slow, { timeScale: 0.25 }).advance(0.2);
+    assert.ok(Math.abs(slowSteps - normalSteps / 4) <= 1);
+    const start = createContext().nodesByName.cabin.rotation[1];
+    assert.ok(Math.abs(slow.nodesByName.cabin.rotation[1] - (start + DRIVE.cabinRate * slowSteps * 0.005)) < 1e-9);
+});
+
+test("the cannon pitch stays clamped when driven by the simulation", () => {
+    const ctx = createContext();
+    ctx.drive.pitch = 1;
+    simulate(ctx).advance(0.25);
+    simulate(ctx).advance(0.25);
+    assert.equal(ctx.nodesByName.cannon_base.rotation[2], CANNON_ROTATION_UPPER_LIMIT);
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEffects, fade } from "../libs/effects.js";
+import { createSeededRandom } from "../libs/game.js";
+
+const miss = point => ({ type: "miss", point, normal: [0, 1, 0] });
+const collision = (node, point) => ({ type: "collision", node, point, normal: [1, 0, 0] });
+
+test("a tomato landing on the ground leaves a splat and a burst", () => {
+    const effects = createEffects({ random: createSeededRandom(1) });
+    effects.impact(miss([1, 0, 2]));
+    assert.equal(effects.splats.length, 1);
+    assert.deepEqual(effects.splats[0].pos, [1, 0, 2]);
+    assert.equal(effects.splats[0].node, null);
+    assert.ok(effects.particles.length > 0);
+});
+
+test("a collision leaves a splat anchored to the node hit", () => {
+    const anchors = [];
+    const effects = createEffects({
+        anchor: (node, point) => {
+            anchors.push(node);
+            return point.map(x => x - 1);
+        }
+    });
+    effects.impact(collision("cabin", [1, 2, 3]));
+    assert.deepEqual(anchors, ["cabin"]);
+    assert.equal(effects.splats[0].node, "cabin");
+    assert.deepEqual(effects.splats[0].local, [0, 1, 2]);
+    assert.deepEqual(effects.splats[0].pos, [1, 2, 3]);
+});
+
+test("without an anchor collisions only throw particles", () => {
+    const effects = createEffects();
+    effects.impact(collision("cabin", [1, 2, 3]));
+    assert.equal(effects.splats.length, 0);
+    assert.ok(effects.particles.length > 0);
+});
+
+test("hits in the hole leave no splat", () => {
+    const effects = createEffects();
+    effects.impact({ type: "hit", point: [0, -0.4, 0] });
+    assert.equal(effects.splats.length, 0);
+});
+
+test("splats fade out and are capped", () => {
+    const effects = createEffects({ maxSplats: 3, splatLifetime: 2 });
+    for (let i = 0; i < 5; i++) effects.impact(miss([i, 0, 0]));
+    assert.deepEqual(effects.splats.map(s => s.pos[0]), [2, 3, 4]);
+    effects.update(1);
+    assert.ok(Math.abs(fade(effects.splats[0]) - 0.5) < 1e-9);
+    effects.update(1.5);
+    assert.equal(effects.splats.length, 0);
+});
+
+test("particles rest on the ground, or on the bottom of the hole", () => {
+    const effects = createEffects({ particleLifetime: 100, particleSpeed: 0.5, random: createSeededRandom(3) });
+    effects.impact(miss([0, 0, 0]));
+    effects.impact({ type: "hit", point: [3, -0.4, 0], normal: [0, 1, 0] });
+    for (let i = 0; i < 400; i++) effects.update(0.01);
+    for (let p of effects.particles) {
+        assert.equal(p.pos[1], p.pos[0] > 1.5 ? -0.4 : 0);
+    }
+});
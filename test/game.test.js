@@ -0,0 +1,160 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    createGame, createMemoryStorage, createSeededRandom, scoreForHit,
+    BEST_SCORE_KEY, HOLE_RADIUS_ORIG, HOLE_DEPTH, TOMATO_SPEED, TOMATO_RADIUS
+} from "../libs/game.js";
+
+// a game with a reproducible hole and its best score kept in memory
+function newGame(storage = createMemoryStorage(), seed = 1) {
+    return createGame({ storage, random: createSeededRandom(seed) });
+}
+
+// cannon pose right above a point, pointing straight down
+function above(pos, height = 1) {
+    return { tip: [pos[0], height, pos[2]], dir: [0, -1, 0] };
+}
+
+// cannon pose far from the hole, pointing straight down
+function awayFrom(hole) {
+    return above([hole.pos[0] > 0 ? -4 : 4, 0, hole.pos[2] > 0 ? -4 : 4]);
+}
+
+// runs the game until its tomatoes are gone, returning every event
+function runUntilLanded(game, dt = 0.005) {
+    const events = [];
+    for (let i = 0; i < 10000 && game.tomatoes.length; i++) events.push(...game.update(dt));
+    return events;
+}
+
+test("a tomato falling into the hole is a hit", () => {
+    const game = newGame();
+    game.fire(above(game.hole.pos));
+    const events = runUntilLanded(game);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, "hit");
+    assert.equal(events[0].points, scoreForHit(HOLE_RADIUS_ORIG, 0));
+    assert.equal(game.score, events[0].points);
+    assert.equal(game.streak, 1);
+});
+
+test("a tomato dropped in the middle of the hole lands on its bottom", () => {
+    const game = newGame();
+    const hole = { ...game.hole };
+    game.fire(above(hole.pos));
+    const [event] = runUntilLanded(game);
+    assert.ok(Math.abs(event.point[1] + HOLE_DEPTH) < 1e-9);
+    assert.ok(Math.hypot(event.point[0] - hole.pos[0], event.point[2] - hole.pos[2]) <= hole.radius);
+});
+
+test("a tomato coming in at an angle hits the wall of the hole", () => {
+    const game = newGame();
+    const [x, , z] = game.hole.pos;
+    // low shot entering the opening, flying on to the far wall
+    const dir = [0.95, -0.31, 0].map(v => v / Math.hypot(0.95, 0.31));
+    game.fire({ tip: [x - 0.3, 0.2, z], dir });
+    const events = runUntilLanded(game);
+    assert.deepEqual(events.map(e => e.type), ["hit"]);
+    assert.ok(events[0].point[1] < 0 && events[0].point[1] > -HOLE_DEPTH);
+});
+
+test("a tomato landing on the rim from outside is a miss", () => {
+    const game = newGame();
+    const [x, , z] = game.hole.pos;
+    // center just outside the opening: the tomato rests on the edge
+    game.fire(above([x + game.hole.radius + TOMATO_RADIUS / 2, 0, z]));
+    const events = runUntilLanded(game);
+    assert.deepEqual(events.map(e => e.type), ["miss"]);
+});
+
+test("a tomato touching the rim with its center over the opening falls in", () => {
+    const game = newGame();
+    const [x, , z] = game.hole.pos;
+    game.fire(above([x + game.hole.radius - TOMATO_RADIUS / 2, 0, z]));
+    assert.deepEqual(runUntilLanded(game).map(e => e.type), ["hit"]);
+});
+
+test("fast tomatoes and long steps cannot tunnel past the hole", () => {
+    for (let dt of [0.005, 0.05, 0.2]) {
+        const game = newGame();
+        // straight down, from high up: several units per step at the longest one
+        game.fire(above(game.hole.pos, 20));
+        game.tomatoes[0].vel = [0, -10 * TOMATO_SPEED, 0];
+        const events = runUntilLanded(game, dt);
+        assert.deepEqual(events.map(e => e.type), ["hit"], "dt = " + dt);
+    }
+});
+
+test("a tomato landing away from the hole is a miss", () => {
+    const game = newGame();
+    game.fire(awayFrom(game.hole));
+    const events = runUntilLanded(game);
+    assert.deepEqual(events.map(e => e.type), ["miss"]);
+    assert.equal(game.score, 0);
+});
+
+test("a miss resets the streak but keeps the score", () => {
+    const game = newGame();
+    game.fire(above(game.hole.pos));
+    runUntilLanded(game);
+    game.fire(above(game.hole.pos));
+    runUntilLanded(game);
+    assert.equal(game.streak, 2);
+    const score = game.score;
+
+    game.fire(awayFrom(game.hole));
+    runUntilLanded(game);
+    assert.equal(game.streak, 0);
+    assert.equal(game.score, score);
+});
+
+test("the streak raises the points of the next hit", () => {
+    assert.ok(scoreForHit(HOLE_RADIUS_ORIG, 1) > scoreForHit(HOLE_RADIUS_ORIG, 0));
+    const game = newGame();
+    game.fire(above(game.hole.pos));
+    const [first] = runUntilLanded(game);
+    const radius = game.hole.radius;
+    game.fire(above(game.hole.pos));
+    const [second] = runUntilLanded(game);
+    assert.equal(second.points, scoreForHit(radius, 1));
+    assert.ok(second.points > first.points);
+});
+
+test("the best score is saved and read back by the next game", () => {
+    const storage = createMemoryStorage();
+    const game = newGame(storage);
+    game.fire(above(game.hole.pos));
+    runUntilLanded(game);
+    assert.equal(game.bestScore, game.score);
+    assert.equal(storage.getItem(BEST_SCORE_KEY), String(game.score));
+
+    const next = newGame(storage, 2);
+    assert.equal(next.bestScore, game.score);
+    assert.equal(next.score, 0);
+});
+
+test("a lower score does not replace the best one", () => {
+    const storage = createMemoryStorage({ [BEST_SCORE_KEY]: "1000" });
+    const game = newGame(storage);
+    game.fire(above(game.hole.pos));
+    runUntilLanded(game);
+    assert.equal(game.bestScore, 1000);
+    assert.equal(storage.getItem(BEST_SCORE_KEY), "1000");
+});
+
+test("resetting the best score saves it too", () => {
+    const storage = createMemoryStorage({ [BEST_SCORE_KEY]: "50" });
+    const game = newGame(storage);
+    game.resetBestScore();
+    assert.equal(game.bestScore, 0);
+    assert.equal(newGame(storage).bestScore, 0);
+});
+
+test("the same seed places the hole at the same spots", () => {
+    const a = newGame(createMemoryStorage(), 7);
+    const b = newGame(createMemoryStorage(), 7);
+    assert.deepEqual(a.hole.pos, b.hole.pos);
+    a.relocateHole();
+    b.relocateHole();
+    assert.deepEqual(a.hole.pos, b.hole.pos);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readGamepad, firstGamepad, DEAD_ZONE } from "../libs/gamepad.js";
+import { applyHeldActions, createViewState } from "../libs/controls.js";
+import { createInput } from "../libs/input.js";
+import { createDrive } from "../libs/tank.js";
+import { loadShippedScene } from "./helpers.js";
+
+// a "standard" pad at rest, with some axes and buttons set
+function pad(axes = {}, pressed = []) {
+    const pad = { connected: true, axes: [0, 0, 0, 0], buttons: [] };
+    for (let i = 0; i < 17; i++) pad.buttons.push({ pressed: pressed.includes(i), value: pressed.includes(i) ? 1 : 0 });
+    for (let axis in axes) pad.axes[axis] = axes[axis];
+    return pad;
+}
+
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+
+test("a pad at rest gives no amounts and no presses", () => {
+    assert.deepEqual(readGamepad(pad()), { amounts: {}, pressed: [], buttons: pad().buttons.map(() => false) });
+});
+
+test("no pad gives nothing", () => {
+    assert.deepEqual(readGamepad(null), { amounts: {}, pressed: [], buttons: [] });
+});
+
+test("deflections inside the dead zone are ignored", () => {
+    assert.deepEqual(readGamepad(pad({ 0: DEAD_ZONE, 1: -DEAD_ZONE / 2, 3: 0.1 })).amounts, {});
+});
+
+test("deflections past the dead zone are rescaled to [0, 1]", () => {
+    const { amounts } = readGamepad(pad({ 0: 1, 1: -(DEAD_ZONE + (1 - DEAD_ZONE) / 2), 2: 1.2 }));
+    assert.equal(amounts.turnRight, 1);
+    assert.ok(near(amounts.driveForward, 0.5));
+    assert.equal(amounts.cabinRight, 1, "clamped");
+});
+
+test("opposite stick directions give opposite actions", () => {
+    assert.deepEqual(Object.keys(readGamepad(pad({ 1: -1 })).amounts), ["driveForward"]);
+    assert.deepEqual(Object.keys(readGamepad(pad({ 1: 1 })).amounts), ["driveBackward"]);
+    assert.deepEqual(Object.keys(readGamepad(pad({ 3: -1 })).amounts), ["cannonUp"]);
+    assert.deepEqual(Object.keys(readGamepad(pad({ 3: 1 })).amounts), ["cannonDown"]);
+    assert.deepEqual(Object.keys(readGamepad(pad({ 2: -1 })).amounts), ["cabinLeft"]);
+    assert.deepEqual(Object.keys(readGamepad(pad({ 0: -1 })).amounts), ["turnLeft"]);
+});
+
+test("a button press is reported when it goes down, not while it is held", () => {
+    const first = readGamepad(pad({}, [7]));
+    assert.deepEqual(first.pressed, ["fire"]);
+    const held = readGamepad(pad({}, [7]), first.buttons);
+    assert.deepEqual(held.pressed, []);
+    const released = readGamepad(pad(), held.buttons);
+    const again = readGamepad(pad({}, [7]), released.buttons);
+    assert.deepEqual(again.pressed, ["fire"]);
+});
+
+test("analog triggers count as pressed past the threshold", () => {
+    const trigger = pad();
+    trigger.buttons[6] = { pressed: false, value: 0.4 };
+    assert.deepEqual(readGamepad(trigger).pressed, []);
+    trigger.buttons[6] = { pressed: false, value: 0.6 };
+    assert.deepEqual(readGamepad(trigger).pressed, ["toggleTrajectory"]);
+});
+
+test("held actions are scaled by the stick amount", () => {
+    const { nodesByName } = loadShippedScene();
+    const ctx = { view: createViewState(), nodesByName, drive: createDrive() };
+    const input = createInput({});
+    applyHeldActions(ctx, input, 0.1, { cabinLeft: 0.5, cannonDown: 0.75, driveForward: 0.25 });
+    assert.equal(ctx.drive.cabin, 0.5);
+    assert.equal(ctx.drive.pitch, -0.75);
+    assert.equal(ctx.drive.throttle, 0.25);
+});
+
+test("a held key counts as a full deflection", () => {
+    const { nodesByName } = loadShippedScene();
+    const ctx = { view: createViewState(), nodesByName, drive: createDrive() };
+    const input = createInput({ driveForward: ["q"] });
+    input.keyDown("q");
+    applyHeldActions(ctx, input, 0.1, { driveForward: 0.25 });
+    assert.equal(ctx.drive.throttle, 1);
+});
+
+test("the first connected pad is used", () => {
+    const a = { ...pad(), connected: false };
+    const b = pad();
+    assert.equal(firstGamepad([null, a, b]), b);
+    assert.equal(firstGamepad(null), null);
+});
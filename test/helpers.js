@@ -0,0 +1,101 @@
+/**
+ * helpers.js
+ *
+ * Stand-ins for what the browser gives the application, so its modules run
+ * under Node: the scene from scene.json, Storage objects, a WebGL context and
+ * DOM elements receiving events.
+ */
+import { readFileSync } from "node:fs";
+import { parseScene, indexScene } from "../libs/scene.js";
+
+export {
+    SCENE_FILE, readScene, loadShippedScene, createFailingStorage, createFakeGL,
+    createFakeElement
+}
+
+const SCENE_FILE = new URL("../scene.json", import.meta.url);
+
+function readScene() {
+    return readFileSync(SCENE_FILE, "utf8");
+}
+
+// the shipped scene, parsed and indexed: { root, nodesByName }
+function loadShippedScene() {
+    const root = parseScene(readScene(), "scene.json");
+    return { root, nodesByName: indexScene(root) };
+}
+
+// a Storage whose writes always fail (e.g. quota exceeded), reads return nothing
+function createFailingStorage() {
+    return {
+        getItem: () => null,
+        setItem: () => { throw new Error("storage is full"); },
+        removeItem: () => {}
+    };
+}
+
+/**
+ * WebGL2 context stand-in with an RGBA framebuffer of width x height.
+ * Only what picking needs: clearing (with the scissor test), readPixels, and
+ * the parameters that are saved and restored. draw(gl) can fill pixels with
+ * gl.fill(x, y, rgbaBytes). Every call is recorded in gl.calls.
+ */
+function createFakeGL(width = 4, height = 4) {
+    const pixels = new Uint8Array(width * height * 4).fill(255);
+    const state = { clearColor: [0.5, 0.5, 0.5, 1], scissorTest: false, scissor: [0, 0, width, height], framebuffer: null };
+    const calls = [];
+    const record = (name, fn = () => {}) => (...args) => {
+        calls.push([name, ...args]);
+        return fn(...args);
+    };
+    const setPixel = (x, y, rgba) => pixels.set(rgba, (y * width + x) * 4);
+    return {
+        FRAMEBUFFER: "FRAMEBUFFER", RENDERBUFFER: "RENDERBUFFER", RGBA8: "RGBA8", RGBA: "RGBA",
+        DEPTH_COMPONENT24: "DEPTH_COMPONENT24", COLOR_ATTACHMENT0: "COLOR_ATTACHMENT0",
+        DEPTH_ATTACHMENT: "DEPTH_ATTACHMENT", UNSIGNED_BYTE: "UNSIGNED_BYTE",
+        COLOR_CLEAR_VALUE: "COLOR_CLEAR_VALUE", SCISSOR_TEST: "SCISSOR_TEST",
+        COLOR_BUFFER_BIT: 1, DEPTH_BUFFER_BIT: 2,
+        calls, state,
+        createFramebuffer: record("createFramebuffer", () => ({})),
+        createRenderbuffer: record("createRenderbuffer", () => ({})),
+        bindFramebuffer: record("bindFramebuffer", (target, fb) => { state.framebuffer = fb; }),
+        bindRenderbuffer: record("bindRenderbuffer"),
+        renderbufferStorage: record("renderbufferStorage"),
+        framebufferRenderbuffer: record("framebufferRenderbuffer"),
+        getParameter: name => name == "COLOR_CLEAR_VALUE" ? new Float32Array(state.clearColor) : null,
+        enable: record("enable", cap => { if (cap == "SCISSOR_TEST") state.scissorTest = true; }),
+        disable: record("disable", cap => { if (cap == "SCISSOR_TEST") state.scissorTest = false; }),
+        scissor: record("scissor", (...box) => { state.scissor = box; }),
+        clearColor: record("clearColor", (...c) => { state.clearColor = c; }),
+        clear: record("clear", () => {
+            const [x0, y0, w, h] = state.scissorTest ? state.scissor : [0, 0, width, height];
+            const rgba = state.clearColor.map(v => Math.round(v * 255));
+            for (let y = y0; y < y0 + h; y++) for (let x = x0; x < x0 + w; x++) setPixel(x, y, rgba);
+        }),
+        readPixels: record("readPixels", (x, y, w, h, format, type, out) => {
+            out.set(pixels.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+        }),
+        fill: setPixel
+    };
+}
+
+/**
+ * DOM element stand-in keeping its event listeners: dispatch(type, fields)
+ * calls them with an event made of the fields (plus preventDefault).
+ */
+function createFakeElement() {
+    const listeners = {};
+    return {
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        setPointerCapture() {},
+        releasePointerCapture() {},
+        dispatch(type, fields = {}) {
+            const event = { type, timeStamp: 0, defaultPrevented: false, ...fields };
+            event.preventDefault = () => { event.defaultPrevented = true; };
+            for (let listener of listeners[type] || []) listener(event);
+            return event;
+        }
+    };
+}
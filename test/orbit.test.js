@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createOrbitController } from "../libs/orbit.js";
+import { createFakeElement } from "./helpers.js";
+
+// a left-button drag from (0, 0), moving by dx at time t (milliseconds)
+function press(element) {
+    element.dispatch("pointerdown", { button: 0, pointerType: "mouse", pointerId: 1, clientX: 0, clientY: 0, timeStamp: 0 });
+}
+function move(element, dx, t) {
+    element.dispatch("pointermove", { clientX: dx, clientY: 0, timeStamp: t });
+}
+
+test("dragging with the left button orbits the camera", () => {
+    const element = createFakeElement();
+    const orbit = createOrbitController(element, { theta: 0 });
+    press(element);
+    move(element, 50, 16);
+    assert.notEqual(orbit.theta, 0);
+});
+
+test("a disabled controller ignores new drags", () => {
+    const element = createFakeElement();
+    const orbit = createOrbitController(element, { theta: 0 });
+    orbit.enabled = false;
+    press(element);
+    move(element, 50, 16);
+    assert.equal(orbit.theta, 0);
+});
+
+test("disabling the controller during a drag ends the drag", () => {
+    const element = createFakeElement();
+    const orbit = createOrbitController(element, { theta: 0 });
+    press(element);
+    move(element, 50, 16);
+    const theta = orbit.theta;
+
+    orbit.enabled = false;
+    move(element, 100, 32);
+    assert.equal(orbit.theta, theta);
+
+    // enabled again with the button still down: the old drag does not come back
+    orbit.enabled = true;
+    move(element, 150, 48);
+    assert.equal(orbit.theta, theta);
+});
+
+test("a drag ended by disabling leaves no inertia", () => {
+    const element = createFakeElement();
+    const orbit = createOrbitController(element, { theta: 0, inertia: true });
+    press(element);
+    move(element, 50, 16);
+    orbit.enabled = false;
+    move(element, 60, 32);
+    const theta = orbit.theta;
+    orbit.update(0.1);
+    assert.equal(orbit.theta, theta);
+});
+
+test("the wheel zooms only while enabled", () => {
+    const element = createFakeElement();
+    const orbit = createOrbitController(element);
+    const distance = orbit.distance;
+    orbit.enabled = false;
+    assert.equal(element.dispatch("wheel", { deltaY: 1 }).defaultPrevented, false);
+    assert.equal(orbit.distance, distance);
+    orbit.enabled = true;
+    element.dispatch("wheel", { deltaY: 1 });
+    assert.notEqual(orbit.distance, distance);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { idToColor, colorToId, viewportAt, createPickBuffer, MAX_PICK_ID } from "../libs/picking.js";
+import { createFakeGL } from "./helpers.js";
+
+// bytes written to the framebuffer for a color in [0, 1]
+const toBytes = color => color.map(v => Math.round(v * 255));
+
+test("IDs survive the trip through a color", () => {
+    for (let id of [0, 1, 255, 256, 65535, 65536, 123456, MAX_PICK_ID]) {
+        assert.equal(colorToId(toBytes(idToColor(id))), id);
+    }
+});
+
+test("IDs out of range are refused", () => {
+    for (let id of [-1, MAX_PICK_ID + 1, 1.5, NaN]) {
+        assert.throws(() => idToColor(id), RangeError);
+    }
+});
+
+test("the viewport under a pixel is found", () => {
+    const viewports = [
+        { x: 0, y: 0, width: 10, height: 10, name: "a" },
+        { x: 10, y: 0, width: 10, height: 10, name: "b" }
+    ];
+    assert.equal(viewportAt(viewports, 9, 9).name, "a");
+    assert.equal(viewportAt(viewports, 10, 0).name, "b");
+    assert.equal(viewportAt(viewports, 20, 0), null);
+});
+
+test("a pick returns the ID drawn at the pixel", () => {
+    const gl = createFakeGL();
+    const buffer = createPickBuffer(gl);
+    const id = buffer.pick(4, 4, 1, 2, () => gl.fill(1, 2, toBytes(idToColor(42))));
+    assert.equal(id, 42);
+});
+
+test("a pick on the background returns 0 and leaves the GL state as it was", () => {
+    const gl = createFakeGL();
+    const buffer = createPickBuffer(gl);
+    assert.equal(buffer.pick(4, 4, 3, 3, () => {}), 0);
+    assert.deepEqual(gl.state.clearColor, [0.5, 0.5, 0.5, 1]);
+    assert.equal(gl.state.scissorTest, false);
+    assert.equal(gl.state.framebuffer, null);
+});
+
+test("the pick buffer is only resized when the canvas is", () => {
+    const gl = createFakeGL();
+    const buffer = createPickBuffer(gl);
+    const storage = () => gl.calls.filter(call => call[0] == "renderbufferStorage").length;
+    buffer.pick(4, 4, 0, 0, () => {});
+    buffer.pick(4, 4, 0, 0, () => {});
+    assert.equal(storage(), 2);
+    buffer.pick(2, 2, 0, 0, () => {});
+    assert.equal(storage(), 4);
+});
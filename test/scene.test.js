@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseScene, validateScene, indexScene, addNode, removeNode, getWorldMatrix, localMatrix, SceneError } from "../libs/scene.js";
+import { readScene } from "./helpers.js";
+
+// a valid node with the required fields, and any others given
+function node(name, fields = {}) {
+    return { name, translation: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1], ...fields };
+}
+
+// paths of the problems found in a scene
+function problemPaths(root) {
+    return validateScene(root).map(p => p.path);
+}
+
+test("the shipped scene is valid", () => {
+    assert.doesNotThrow(() => parseScene(readScene(), "scene.json"));
+});
+
+test("a minimal scene is valid", () => {
+    assert.deepEqual(validateScene(node("scene", { children: [node("box", { primitive: "cube" })] })), []);
+});
+
+test("a missing vector is reported with its path", () => {
+    const child = node("box", { primitive: "cube" });
+    delete child.rotation;
+    const problems = validateScene(node("scene", { children: [child] }));
+    assert.deepEqual(problems, [{ path: "$.children[0].rotation", message: "is missing" }]);
+});
+
+test("nested problems are reported with their full path", () => {
+    const root = node("scene", {
+        children: [node("tank", { children: [node("cabin", { rotation: [0, "90", 0] })] })]
+    });
+    assert.deepEqual(problemPaths(root), ["$.children[0].children[0].rotation[1]"]);
+});
+
+test("every problem is reported, not only the first one", () => {
+    const root = node("scene", {
+        children: [
+            node("a", { scale: [1, 1], primitive: "cone" }),
+            node("a", { color: [2, 0, 0], extra: true })
+        ]
+    });
+    assert.deepEqual(problemPaths(root).sort(), [
+        "$.children[0].primitive",
+        "$.children[0].scale",
+        "$.children[1].color[0]",
+        "$.children[1].extra",
+        "$.children[1].name"
+    ]);
+});
+
+test("a parent field must match the nesting", () => {
+    const root = node("scene", { children: [node("tank", { parent: "ground" })] });
+    assert.deepEqual(problemPaths(root), ["$.children[0].parent"]);
+});
+
+test("a zero scale is refused above a child that does not inherit it", () => {
+    const root = node("scene", { scale: [1, 0, 1], children: [node("wheel", { inheritScale: false })] });
+    assert.deepEqual(problemPaths(root), ["$.scale"]);
+});
+
+test("light nodes need their light parameters", () => {
+    const root = node("scene", { children: [node("lamp", { type: "light" })] });
+    assert.deepEqual(problemPaths(root), ["$.children[0].light"]);
+});
+
+test("parseScene throws a SceneError listing the problems", () => {
+    const text = JSON.stringify(node("scene", { children: [node("box", { rotation: [0, 0] })] }));
+    assert.throws(() => parseScene(text, "bad.json"), error => {
+        assert.ok(error instanceof SceneError);
+        assert.equal(error.source, "bad.json");
+        assert.deepEqual(error.problems.map(p => p.path), ["$.children[0].rotation"]);
+        assert.match(error.message, /\$\.children\[0\]\.rotation: must be an array of 3 numbers/);
+        return true;
+    });
+});
+
+test("text that is not JSON is reported at the root", () => {
+    assert.throws(() => parseScene("{ name: ", "broken.json"), error => {
+        assert.ok(error instanceof SceneError);
+        assert.equal(error.problems[0].path, "$");
+        return true;
+    });
+});
+
+test("a node read before it is added to the scene is watched once added", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const box = { name: "box", translation: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1], primitive: "cube" };
+    getWorldMatrix(box);
+    addNode(root, box, nodesByName);
+    box.translation[0] = 5;
+    assert.equal(getWorldMatrix(box)[0][3], getWorldMatrix(root)[0][3] + 5);
+});
+
+test("changes made before a node is added are not lost", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const box = { name: "box", translation: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1], primitive: "cube" };
+    getWorldMatrix(box);
+    box.translation[0] = 2;
+    addNode(root, box, nodesByName);
+    assert.equal(getWorldMatrix(box)[0][3], getWorldMatrix(root)[0][3] + 2);
+});
+
+test("element-wise edits move the node and its descendants", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const before = getWorldMatrix(nodesByName.cannon)[2][3];
+    nodesByName.tank.translation[2] += 1;
+    assert.ok(Math.abs(getWorldMatrix(nodesByName.cannon)[2][3] - (before + 1)) < 1e-9);
+});
+
+test("an added subtree is linked, indexed and placed under its parent", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const lid = node("lid", { primitive: "cube", translation: [0, 1, 0] });
+    const box = node("box", { translation: [2, 0, 0], children: [lid] });
+    addNode(nodesByName.tank, box, nodesByName);
+    assert.equal(nodesByName.box, box);
+    assert.equal(nodesByName.lid, lid);
+    assert.equal(lid.parent, box);
+    assert.equal(nodesByName.tank.children.at(-1), box);
+    const tank = getWorldMatrix(nodesByName.tank);
+    const expected = tank.map(row => row[0] * 2 + row[1] + row[3]);
+    getWorldMatrix(lid).forEach((row, i) => assert.ok(Math.abs(row[3] - expected[i]) < 1e-9));
+});
+
+test("names used twice in an added subtree are rejected", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const box = node("box", { children: [node("part"), node("part")] });
+    assert.throws(() => addNode(root, box, nodesByName), /name already in use: part/);
+    assert.equal(nodesByName.box, undefined);
+    assert.ok(!root.children.includes(box));
+});
+
+test("names already in the scene are rejected", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    assert.throws(() => addNode(root, node("cabin"), nodesByName), /name already in use: cabin/);
+});
+
+test("a removed subtree leaves the index and no longer follows its old parent", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const cabin = nodesByName.cabin;
+    const tank = nodesByName.tank;
+    const cannon = nodesByName.cannon;
+    getWorldMatrix(cannon);
+    removeNode(cabin, nodesByName);
+    assert.equal(nodesByName.cabin, undefined);
+    assert.equal(nodesByName.cannon, undefined);
+    assert.equal(cabin.parent, null);
+    assert.ok(!tank.children.includes(cabin));
+    // the cached world matrices are rebuilt without the old parent
+    assert.deepEqual(getWorldMatrix(cabin), localMatrix(cabin));
+    tank.translation[0] += 3;
+    assert.deepEqual(getWorldMatrix(cabin), localMatrix(cabin));
+});
+
+test("a removed name can be added again", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    const cabin = removeNode(nodesByName.cabin, nodesByName);
+    addNode(root, cabin, nodesByName);
+    assert.equal(nodesByName.cabin, cabin);
+    assert.equal(cabin.parent, root);
+});
+
+test("the root node cannot be removed", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    assert.throws(() => removeNode(root, nodesByName), /cannot remove the root node/);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseScene, indexScene, serializeScene, getWorldMatrix } from "../libs/scene.js";
+import { moveTank, turnTank, rotateCabin, pitchCannon } from "../libs/tank.js";
+import { readScene } from "./helpers.js";
+
+// plain JSON data of a scene graph, as it stands (no parent links, no accessors)
+function plainScene(root) {
+    return JSON.parse(JSON.stringify(root));
+}
+
+// the scene read back from its serialized text
+function reload(root) {
+    return parseScene(serializeScene(root), "written back");
+}
+
+function names(root, list = []) {
+    list.push(root.name);
+    if (root.children) root.children.forEach(child => names(child, list));
+    return list;
+}
+
+test("an indexed scene reads back as the original file", () => {
+    const original = parseScene(readScene(), "scene.json");
+    const root = parseScene(readScene(), "scene.json");
+    indexScene(root);
+    assert.deepEqual(reload(root), original);
+});
+
+test("a scene changed by the tank controls reads back with the changes", () => {
+    const original = parseScene(readScene(), "scene.json");
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    moveTank(nodesByName, 1.25);
+    turnTank(nodesByName, 30);
+    rotateCabin(nodesByName, 45);
+    pitchCannon(nodesByName, 12);
+
+    const loaded = reload(root);
+    assert.deepEqual(loaded, plainScene(root));
+    assert.notDeepEqual(loaded, original);
+    assert.equal(loaded.children.find(n => n.name == "tank").rotation[1], nodesByName.tank.rotation[1]);
+});
+
+test("the changed scene reads back with the same world matrices", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    moveTank(nodesByName, -0.7);
+    rotateCabin(nodesByName, -100);
+
+    const loaded = reload(root);
+    const loadedByName = indexScene(loaded);
+    for (let name of names(root)) {
+        assert.deepEqual(getWorldMatrix(loadedByName[name]), getWorldMatrix(nodesByName[name]), name);
+    }
+});
+
+test("serializing the read-back scene gives the same text", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    moveTank(nodesByName, 2);
+    const text = serializeScene(root);
+    assert.equal(serializeScene(parseScene(text)), text);
+});
+
+test("colors, materials and inheritScale survive the round trip", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    nodesByName.cabin.color = [0.1, 0.2, 0.3];
+    nodesByName.cabin.inheritScale = false;
+    const cabin = indexScene(reload(root)).cabin;
+    assert.deepEqual(cabin.color, [0.1, 0.2, 0.3]);
+    assert.equal(cabin.inheritScale, false);
+    assert.deepEqual(cabin.material, plainScene(nodesByName.cabin).material);
+});
+
+test("names that look like number lists read back unchanged", () => {
+    const root = parseScene(readScene(), "scene.json");
+    const nodesByName = indexScene(root);
+    nodesByName.cabin.name = "box[1,2]";
+    nodesByName.cannon.name = "[ 3 ,\n 4 ]";
+    const text = serializeScene(root);
+    const loaded = parseScene(text, "written back");
+    assert.deepEqual(loaded, plainScene(root));
+    assert.deepEqual(names(loaded), names(root));
+    assert.equal(serializeScene(loaded), text);
+});
+
+test("number lists are written on one line, other lists and objects indented", () => {
+    const text = serializeScene(parseScene(readScene(), "scene.json"));
+    assert.match(text, /^ {2}"translation": \[[-\d.e]+, [-\d.e]+, [-\d.e]+\],$/m);
+    assert.match(text, /^ {2}"children": \[\n {4}\{\n/m);
+    const tree = parseScene(readScene(), "scene.json");
+    assert.deepEqual(JSON.parse(text), JSON.parse(JSON.stringify(tree)));
+});
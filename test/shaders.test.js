@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildProgramFromSources, parseShaderLog, annotateShaderSource, ShaderCompileError, ProgramLinkError } from "../libs/utils.js";
+
+// WebGL stand-in compiling any source that does not contain "error", and
+// linking unless told otherwise; it tracks which shaders and programs are alive
+function createShaderGL({ linkFails = false } = {}) {
+    const alive = new Set();
+    return {
+        VERTEX_SHADER: 1, FRAGMENT_SHADER: 2, COMPILE_STATUS: 3, LINK_STATUS: 4,
+        alive,
+        createShader: type => { const s = { type }; alive.add(s); return s; },
+        shaderSource: (s, source) => { s.source = source; },
+        compileShader: () => {},
+        getShaderParameter: s => !s.source.includes("error"),
+        getShaderInfoLog: () => "ERROR: 0:1: 'error' : syntax error",
+        deleteShader: s => alive.delete(s),
+        createProgram: () => { const p = { program: true }; alive.add(p); return p; },
+        attachShader: () => {},
+        linkProgram: () => {},
+        getProgramParameter: () => !linkFails,
+        getProgramInfoLog: () => "link failed",
+        deleteProgram: p => alive.delete(p)
+    };
+}
+
+test("a valid pair of shaders gives a program", () => {
+    const gl = createShaderGL();
+    const program = buildProgramFromSources(gl, "void main() {}", "void main() {}");
+    assert.ok(gl.alive.has(program));
+});
+
+test("the vertex shader is deleted when the fragment shader does not compile", () => {
+    const gl = createShaderGL();
+    assert.throws(() => buildProgramFromSources(gl, "void main() {}", "error", null, ["a.vert", "a.frag"]), ShaderCompileError);
+    assert.equal(gl.alive.size, 0);
+});
+
+test("a vertex shader that does not compile leaves nothing behind", () => {
+    const gl = createShaderGL();
+    assert.throws(() => buildProgramFromSources(gl, "error", "void main() {}"), ShaderCompileError);
+    assert.equal(gl.alive.size, 0);
+});
+
+test("both shaders are deleted when the program does not link", () => {
+    const gl = createShaderGL({ linkFails: true });
+    assert.throws(() => buildProgramFromSources(gl, "void main() {}", "void main() {}"), ProgramLinkError);
+    assert.equal(gl.alive.size, 0);
+});
+
+test("driver logs are parsed into line numbers and messages", () => {
+    const log = "ERROR: 0:12: 'x' : undeclared identifier\n" +
+        "WARNING: 0:3: 'y' : unused variable\n" +
+        "ERROR: 2 compilation errors.  No code generated.\n\0";
+    assert.deepEqual(parseShaderLog(log), [
+        { line: 12, message: "'x' : undeclared identifier" },
+        { line: 3, message: "'y' : unused variable" },
+        { line: null, message: "ERROR: 2 compilation errors.  No code generated." }
+    ]);
+});
+
+test("an empty or missing log has no diagnostics", () => {
+    assert.deepEqual(parseShaderLog(""), []);
+    assert.deepEqual(parseShaderLog(null), []);
+});
+
+test("the annotated source marks the offending lines with their messages", () => {
+    const source = ["#version 300 es", "precision highp float;", "out vec4 color;", "void main() {", "    color = x;", "}", "", "", "// end"].join("\n");
+    const text = annotateShaderSource(source, [
+        { line: 5, message: "'x' : undeclared identifier" },
+        { line: null, message: "1 compilation error" }
+    ], 1);
+    assert.deepEqual(text.split("\n"), [
+        "1 compilation error",
+        "   4 | void main() {",
+        ">> 5 |     color = x;",
+        "     | ^ 'x' : undeclared identifier",
+        "   6 | }"
+    ]);
+});
+
+test("lines far apart are shown as separate excerpts", () => {
+    const source = Array.from({ length: 12 }, (_, i) => "line " + (i + 1)).join("\n");
+    const lines = annotateShaderSource(source, [{ line: 2, message: "a" }, { line: 10, message: "b" }], 1).split("\n");
+    assert.deepEqual(lines.filter(l => l.startsWith(">>")), [">>  2 | line 2", ">> 10 | line 10"]);
+    assert.ok(lines.includes("..."));
+    assert.ok(!lines.some(l => l.includes("line 6")));
+});
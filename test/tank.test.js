@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+    pitchCannon, rotateCabin, getCannonPose, createDrive, updateDrive, interpolateDrive,
+    CANNON_ROTATION_LOWER_LIMIT, CANNON_ROTATION_UPPER_LIMIT
+} from "../libs/tank.js";
+import { loadShippedScene } from "./helpers.js";
+
+test("the cannon pitch stops at the upper limit", () => {
+    const { nodesByName } = loadShippedScene();
+    pitchCannon(nodesByName, 1000);
+    assert.equal(nodesByName.cannon_base.rotation[2], CANNON_ROTATION_UPPER_LIMIT);
+    assert.equal(CANNON_ROTATION_UPPER_LIMIT, 80);
+});
+
+test("the cannon pitch stops at the lower limit", () => {
+    const { nodesByName } = loadShippedScene();
+    pitchCannon(nodesByName, -1000);
+    assert.equal(nodesByName.cannon_base.rotation[2], CANNON_ROTATION_LOWER_LIMIT);
+    assert.equal(CANNON_ROTATION_LOWER_LIMIT, -17);
+});
+
+test("small pitch steps add up within the limits", () => {
+    const { nodesByName } = loadShippedScene();
+    const start = nodesByName.cannon_base.rotation[2];
+    pitchCannon(nodesByName, 5);
+    pitchCannon(nodesByName, 5);
+    assert.equal(nodesByName.cannon_base.rotation[2], start + 10);
+});
+
+test("the cannon pose follows the pitch and the cabin", () => {
+    const { nodesByName } = loadShippedScene();
+    const level = getCannonPose(nodesByName);
+    pitchCannon(nodesByName, 30);
+    const raised = getCannonPose(nodesByName);
+    assert.ok(raised.dir[1] > level.dir[1]);
+    assert.ok(Math.abs(Math.hypot(...raised.dir) - 1) < 1e-9);
+
+    rotateCabin(nodesByName, 90);
+    const turned = getCannonPose(nodesByName);
+    assert.ok(Math.abs(turned.dir[1] - raised.dir[1]) < 1e-9, "turning the cabin keeps the pitch");
+    assert.notDeepEqual(turned.tip, raised.tip);
+});
+
+test("without a scene the tank controls do nothing", () => {
+    assert.doesNotThrow(() => pitchCannon({}, 10));
+    assert.equal(getCannonPose({}), null);
+});
+
+test("the drive is drawn between its last two steps", () => {
+    const { nodesByName } = loadShippedScene();
+    const drive = createDrive();
+    drive.throttle = 1;
+    drive.cabin = 1;
+    const tank = nodesByName.tank;
+    const cabin = nodesByName.cabin;
+    updateDrive(nodesByName, drive, 0.1);
+    const before = [tank.translation[0], cabin.rotation[1]];
+    updateDrive(nodesByName, drive, 0.1);
+    const after = [tank.translation[0], cabin.rotation[1]];
+
+    const restore = interpolateDrive(drive, 0.25);
+    assert.ok(Math.abs(tank.translation[0] - (before[0] + (after[0] - before[0]) * 0.25)) < 1e-9);
+    assert.ok(Math.abs(cabin.rotation[1] - (before[1] + (after[1] - before[1]) * 0.25)) < 1e-9);
+    restore();
+    assert.deepEqual([tank.translation[0], cabin.rotation[1]], after);
+});
+
+test("wheel rotations are interpolated across the wrap at 360 degrees", () => {
+    const { nodesByName } = loadShippedScene();
+    const wheel = nodesByName.wheelsRootLeft.children[0];
+    const drive = createDrive();
+    drive.lastStep = [{ node: wheel, field: "rotation", from: [0, 350, 0], to: [0, 10, 0] }];
+    wheel.rotation[1] = 10;
+    const restore = interpolateDrive(drive, 0.5);
+    assert.ok(Math.abs(wheel.rotation[1]) < 1e-9);
+    restore();
+    assert.equal(wheel.rotation[1], 10);
+});
+
+test("nothing moves when the drive is shown at its current step", () => {
+    const { nodesByName } = loadShippedScene();
+    const drive = createDrive();
+    drive.throttle = 1;
+    updateDrive(nodesByName, drive, 0.1);
+    const x = nodesByName.tank.translation[0];
+    interpolateDrive(drive, 1);
+    assert.equal(nodesByName.tank.translation[0], x);
+});